@@ -4,6 +4,7 @@ import https from 'follow-redirects/https.js';
 import fs from 'fs';
 import { tmpdir } from 'os';
 import path from 'path';
+import zlib from 'zlib';
 import decompress from 'decompress';
 import { Font, woff2 } from 'fonteditor-core';
 
@@ -24,13 +25,18 @@ https.get('https://us.mirrors.cicku.me/ctan/fonts/cm/ps-type1/bakoma.zip', (resp
             // The opentype fonts need to be used because the unicode character for a soft hyphen is used by the
             // truetype fonts which is not displayed by browsers.  However, the otf fonts have invalid out of range
             // glyphs. So those glyphs need to be removed. The fonts are converted to woff2 fonts since this library
-            // doesn't support writing opentype fonts.
+            // doesn't support writing opentype fonts.  A gzipped truetype version of each font is also written.  That
+            // is used for embedding subsets of the fonts or glyph outlines in svg images.
             const buffer = await fs.promises.readFile(path.join(tmpDir, file.path));
             const font = Font.create(buffer, { type: 'otf', hinting: true, kerning: true });
             await fs.promises.writeFile(
                 path.join(import.meta.dirname, 'dist', 'fonts', basename.replace(/\.otf$/, '.woff2')),
                 font.write({ type: 'woff2', hinting: true, kerning: true })
             );
+            await fs.promises.writeFile(
+                path.join(import.meta.dirname, 'dist', 'fonts', basename.replace(/\.otf$/, '.ttf.gz')),
+                zlib.gzipSync(font.write({ type: 'ttf', hinting: false, kerning: true }))
+            );
         }
         fs.rmSync(tmpDir, { recursive: true, force: true });
     });
@@ -10,10 +10,21 @@
         tikzSource.value = '\\begin{tikzpicture}\n\\draw (0, 0) circle[radius = 1];\n\\end{tikzpicture}';
 
     const loadSource = () => {
+        // Once the script has been rendered, the live container that replaced it is updated in place.
+        const container = tikzjaxContent.querySelector('.tikzjax-live');
+        if (container) {
+            container.dataset.texPackages = texPackages.value;
+            container.dataset.addToPreamble = texPreamble.value;
+            container.dataset.tikzLibraries = tikzLibraries.value;
+            container.dataset.source = tikzSource.value;
+            return;
+        }
+
         while (tikzjaxContent.firstChild) tikzjaxContent.firstChild.remove();
 
         const script = document.createElement('script');
         script.type = 'text/tikz';
+        script.dataset.live = 'true';
         script.dataset.disableCache = 'true';
         script.dataset.showConsole = 'true';
         script.dataset.texPackages = texPackages.value;
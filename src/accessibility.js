@@ -0,0 +1,254 @@
+import { decodeEntities, escapeXML } from './markup';
+
+// Text alternatives for the svg images.  The image is given the img role, a title for its accessible name, and a desc
+// for its long description.  The name is the ariaLabel option.  If that is not set, then the name is the source of a
+// LaTeX snippet (the tex mode), and otherwise a generic name, and for a TikZ diagram the text labels that are found in
+// the image are listed in the description in reading order.  The ariaDescription option is put at the start of the
+// description.
+
+// The accessible name of a diagram that has no ariaLabel option.
+const defaultLabel = 'Diagram';
+
+// The characters in the positions of the TeX font encodings that differ from ascii.  Positions that are mapped to an
+// empty string (for example accents, which TeX places over a separate letter) are left out of the labels.
+const greekCapitals = 'ΓΔΘΛΞΠΣΥΦΨΩ';
+const textEncoding = {
+    ...Object.fromEntries(Array.from(greekCapitals, (char, index) => [index, char])),
+    ...Object.fromEntries(
+        Array.from(['ff', 'fi', 'fl', 'ffi', 'ffl', 'ı', 'ȷ'], (chars, index) => [0x0b + index, chars])
+    ),
+    ...Object.fromEntries(Array.from('ßæœøÆŒØ', (char, index) => [0x19 + index, char])),
+    0x22: '”',
+    0x27: '’',
+    0x3c: '¡',
+    0x3e: '¿',
+    0x5c: '“',
+    0x5e: '',
+    0x5f: '',
+    0x60: '‘',
+    0x7b: '–',
+    0x7c: '—',
+    0x7d: '',
+    0x7e: '',
+    0x7f: ''
+};
+const mathItalicEncoding = {
+    ...Object.fromEntries(Array.from(greekCapitals, (char, index) => [index, char])),
+    ...Object.fromEntries(Array.from('αβγδϵζηθικλμνξπρστυϕχψωεϑϖϱςφ', (char, index) => [0x0b + index, char])),
+    0x3a: '.',
+    0x3b: ',',
+    0x3c: '<',
+    0x3d: '/',
+    0x3e: '>',
+    0x3f: '⋆',
+    0x40: '∂',
+    0x5b: '',
+    0x5c: '',
+    0x5d: '',
+    0x5e: '',
+    0x5f: '',
+    0x60: 'ℓ',
+    0x7b: 'ı',
+    0x7c: 'ȷ',
+    0x7d: '℘',
+    0x7e: '',
+    0x7f: ''
+};
+const symbolEncoding = {
+    ...Object.fromEntries(Array.from('−·×∗÷⋄±∓', (char, index) => [index, char])),
+    ...Object.fromEntries(Array.from('∘•≍≡⊆⊇≤≥⪯⪰∼≈⊂⊃≪≫≺≻←→↑↓↔', (char, index) => [0x0e + index, char])),
+    0x28: '⇐',
+    0x29: '⇒',
+    0x2c: '⇔',
+    0x30: '′',
+    0x31: '∞',
+    0x32: '∈',
+    0x33: '∋',
+    0x38: '∀',
+    0x39: '∃',
+    0x3a: '¬',
+    0x3b: '∅',
+    0x40: 'ℵ',
+    ...Object.fromEntries(Array.from('∪∩⊎∧∨', (char, index) => [0x5b + index, char])),
+    ...Object.fromEntries(Array.from('⌊⌋⌈⌉{}⟨⟩|‖', (char, index) => [0x62 + index, char])),
+    0x6e: '\\',
+    0x70: '√',
+    0x72: '∇',
+    0x73: '∫'
+};
+const extensionEncoding = {
+    ...Object.fromEntries(
+        [0x00, 0x10, 0x12, 0x20].flatMap((code) => [
+            [code, '('],
+            [code + 1, ')']
+        ])
+    ),
+    0x50: '∑',
+    0x51: '∏',
+    0x52: '∫',
+    0x58: '∑',
+    0x59: '∏',
+    0x5a: '∫',
+    ...Object.fromEntries([0x70, 0x71, 0x72, 0x73].map((code) => [code, '√']))
+};
+
+const isAscii = (code) => code > 0x20 && code < 0x7f;
+
+// Get the character for a position in a TeX font.  Other fonts (for example the fonts in the T1 encoding) are assumed
+// to be close enough to latin 1.
+const fontCharacter = (family, code) => {
+    if (/^cmb?sy/.test(family)) {
+        return symbolEncoding[code] ?? (code >= 0x41 && code <= 0x5a ? String.fromCharCode(code) : '');
+    }
+    if (/^cmex/.test(family)) return extensionEncoding[code] ?? '';
+    if (/^cmmib?\d/.test(family)) {
+        const char = mathItalicEncoding[code];
+        if (char !== undefined) return char;
+        if (code >= 0x30 && code <= 0x39) return String.fromCharCode(code);
+        return /[a-z]/i.test(String.fromCharCode(code)) ? String.fromCharCode(code) : '';
+    }
+    if (/^cm(?:tt|itt|sltt|tex)/.test(family)) return isAscii(code) ? String.fromCharCode(code) : '';
+    if (/^cm/.test(family)) return textEncoding[code] ?? (isAscii(code) ? String.fromCharCode(code) : '');
+    return isAscii(code) || code >= 0xa0 ? String.fromCharCode(code) : '';
+};
+
+// Get the text of the content of a text element.  Characters in the TeX fonts are written by dvi2html as private use
+// characters at U+F000 plus their position in the font.  The text elements of characters that are not in the TeX fonts
+// (see unicode.js) contain the characters themselves.
+const decodeText = (content, family, isUnicode) => {
+    const text = decodeEntities(content);
+    if (isUnicode) return text;
+    return Array.from(text, (char) => {
+        let code = char.codePointAt(0);
+        if (code >= 0xf000 && code <= 0xf0ff) code -= 0xf000;
+        return code < 256 ? fontCharacter(family, code) : char;
+    }).join('');
+};
+
+const identity = [1, 0, 0, 1, 0, 0];
+
+const multiply = ([a, b, c, d, e, f], [g, h, i, j, k, l]) => [
+    a * g + c * h,
+    b * g + d * h,
+    a * i + c * j,
+    b * i + d * j,
+    a * k + c * l + e,
+    b * k + d * l + f
+];
+
+// Get the matrix of the value of a transform attribute.  Skews are ignored since they do not move text much.
+const parseTransform = (transform = '') => {
+    let matrix = identity;
+    for (const [, name, args] of transform.matchAll(/(\w+)\s*\(([^)]*)\)/g)) {
+        const [p = 0, q, r, s, t, u] = args
+            .trim()
+            .split(/[\s,]+/)
+            .map((value) => parseFloat(value));
+        let step = null;
+        if (name === 'matrix') step = [p, q, r, s, t, u];
+        else if (name === 'translate') step = [1, 0, 0, 1, p, q ?? 0];
+        else if (name === 'scale') step = [p, 0, 0, q ?? p, 0, 0];
+        else if (name === 'rotate') {
+            const angle = (p * Math.PI) / 180;
+            step = [Math.cos(angle), Math.sin(angle), -Math.sin(angle), Math.cos(angle), 0, 0];
+            if (q !== undefined) step = multiply(multiply([1, 0, 0, 1, q, r ?? 0], step), [1, 0, 0, 1, -q, -(r ?? 0)]);
+        }
+        if (step?.every(Number.isFinite)) matrix = multiply(matrix, step);
+    }
+    return matrix;
+};
+
+const getAttribute = (attributes, name) =>
+    attributes.match(new RegExp(`\\s${name}\\s*=\\s*"([^"]*)"`))?.[1] ??
+    attributes.match(new RegExp(`\\sstyle\\s*=\\s*"(?:[^"]*;)?\\s*${name}\\s*:\\s*([^;"]+)`))?.[1]?.trim();
+
+// Estimate the width of text in ems.  This is only used to tell the spaces between words from the kerns between
+// letters, so the widths of the characters are only roughly right.
+const estimateWidth = (text) =>
+    Array.from(text).reduce((width, char) => {
+        if (/[ijlt.,;:!'|()[\]`’‘]/.test(char)) return width + 0.3;
+        if (/[mwMW—]/.test(char)) return width + 0.9;
+        if (/[A-Z]/.test(char)) return width + 0.72;
+        return width + 0.5;
+    }, 0);
+
+// Find the runs of text in the svg markup with their positions (after the transforms of the groups they are in) and
+// font sizes in the coordinates of the image.
+const findTextRuns = (html) => {
+    const runs = [];
+    const stack = [identity];
+    for (const [, closing, name, attributes, content] of html.matchAll(/<(\/?)(g|text)\b([^>]*)>([^<]*)/g)) {
+        if (name === 'g') {
+            if (closing) {
+                if (stack.length > 1) stack.pop();
+            } else if (!attributes.endsWith('/')) {
+                stack.push(multiply(stack.at(-1), parseTransform(getAttribute(attributes, 'transform'))));
+            }
+            continue;
+        }
+        if (closing) continue;
+
+        const [a, b, c, d, e, f] = multiply(stack.at(-1), parseTransform(getAttribute(attributes, 'transform')));
+        const x = parseFloat(getAttribute(attributes, 'x')) || 0;
+        const y = parseFloat(getAttribute(attributes, 'y')) || 0;
+        const family = (getAttribute(attributes, 'font-family') ?? '').replace(/["']/g, '');
+        const isUnicode = /\sclass="tikzjax-unicode"/.test(attributes);
+        const text = decodeText(content, family, isUnicode);
+        if (!text.trim()) continue;
+
+        const size = (parseFloat(getAttribute(attributes, 'font-size')) || 10) * Math.sqrt(Math.abs(a * d - b * c));
+        runs.push({ text, x: a * x + c * y + e, y: b * x + d * y + f, size });
+    }
+    return runs;
+};
+
+// Find the text labels in the svg markup in reading order (from top to bottom, and from left to right in each row).
+// The runs of text that dvi2html writes for a label (which are split at each kern or change of font) are joined when
+// they follow each other on about the same baseline (so subscripts and superscripts are kept with their label), with a
+// space if they are farther apart than the letters of a word.
+export const findTextLabels = (html) => {
+    const labels = [];
+    let label = null;
+    for (const run of findTextRuns(html)) {
+        const size = Math.max(run.size, label?.size ?? 0);
+        const gap = label ? run.x - label.end : 0;
+        if (label && Math.abs(run.y - label.y) <= 0.5 * size && gap > -0.5 * size && gap < size) {
+            label.text += (gap > 0.17 * size ? ' ' : '') + run.text;
+        } else {
+            label = { text: run.text, x: run.x, y: run.y, size: run.size };
+            labels.push(label);
+        }
+        label.end = run.x + estimateWidth(run.text) * run.size;
+        label.size = size;
+    }
+
+    labels.sort((first, second) => first.y - second.y);
+    const rows = [];
+    for (const label of labels) {
+        const row = rows.at(-1);
+        if (row && label.y - row[0].y <= 0.5 * Math.max(label.size, row[0].size)) row.push(label);
+        else rows.push([label]);
+    }
+    return rows.flatMap((row) => row.sort((first, second) => first.x - second.x)).map(({ text }) => text.trim());
+};
+
+// Add the text alternatives for the given dataset to the svg markup of an image.  The id is used for the ids of the
+// title and desc (so it needs to be unique in the page), and the source is that of the script the image is for.
+export const addTextAlternatives = (html, dataset, { id, source = '' }) => {
+    let label = dataset.ariaLabel;
+    const description = dataset.ariaDescription ? [dataset.ariaDescription] : [];
+    if (!label && dataset.mode === 'tex') label = source.trim().replace(/\s+/g, ' ');
+    else if (!label) {
+        const labels = findTextLabels(html);
+        if (labels.length) description.push(`Labels: ${labels.join(', ')}.`);
+    }
+
+    const titleId = `tikzjax-${id}-title`;
+    const descId = `tikzjax-${id}-desc`;
+    const attributes =
+        ` role="img" aria-labelledby="${titleId}"` + (description.length ? ` aria-describedby="${descId}"` : '');
+    const elements =
+        `<title id="${titleId}">${escapeXML(label || defaultLabel)}</title>` +
+        (description.length ? `<desc id="${descId}">${escapeXML(description.join(' '))}</desc>` : '');
+    return html.replace(/<svg\b[^>]*>/, (tag) => tag.replace(/^<svg/, `<svg${attributes}`) + elements);
+};
@@ -0,0 +1,132 @@
+const createButton = (label, text, onClick) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.ariaLabel = label;
+    button.title = label;
+    button.textContent = text;
+    button.addEventListener('click', onClick);
+    return button;
+};
+
+// Create a widget that shows the given frame elements one at a time, with controls to step through the frames or to
+// play them at the given interval (in milliseconds).  The animation starts over after the last frame unless the loop
+// option is false.  A bubbling tikzjax-frame-change event is emitted from the widget
+// whenever the current frame changes.  The frame numbers start at 1.  The widget can also be controlled with the
+// play, pause, next, previous, and goTo methods of its tikzjaxAnimation property.
+export const createAnimationElement = (frames, options = {}) => {
+    const { interval = 1000, autoplay = false, loop = true, ariaLabel } = options;
+
+    const widget = document.createElement('div');
+    widget.classList.add('tikzjax-animation');
+    widget.role = 'group';
+    widget.ariaRoleDescription = 'animation';
+    if (ariaLabel) widget.ariaLabel = ariaLabel;
+
+    const frameContainer = document.createElement('div');
+    frameContainer.classList.add('tikzjax-animation-frames');
+    frameContainer.append(...frames);
+
+    const status = document.createElement('span');
+    status.classList.add('tikzjax-animation-status');
+    status.ariaLive = 'polite';
+
+    let current = 1;
+    let timer = null;
+    let attached = false;
+
+    const update = () => {
+        // The frames are svg elements, which do not have the hidden property.
+        frames.forEach((frame, index) => frame.toggleAttribute('hidden', index + 1 !== current));
+        status.textContent = `${current} / ${frames.length}`;
+        playButton.textContent = timer ? '❚❚' : '▶';
+        playButton.ariaLabel = playButton.title = timer ? 'Pause' : 'Play';
+    };
+
+    const goTo = (frame) => {
+        frame = Math.min(Math.max(parseInt(frame) || 1, 1), frames.length);
+        if (frame === current) return;
+        current = frame;
+        update();
+        widget.dispatchEvent(
+            new CustomEvent('tikzjax-frame-change', {
+                bubbles: true,
+                detail: { frame: current, frameCount: frames.length, playing: !!timer }
+            })
+        );
+    };
+
+    const pause = () => {
+        if (!timer) return;
+        clearInterval(timer);
+        timer = null;
+        update();
+    };
+
+    const next = () => {
+        if (current < frames.length) goTo(current + 1);
+        else if (loop) goTo(1);
+        else pause();
+    };
+
+    const play = () => {
+        if (timer || frames.length < 2) return;
+        // Start over if the last frame is showing and the animation does not loop.
+        if (!loop && current === frames.length) goTo(1);
+        timer = setInterval(() => {
+            // Stop if the widget has been removed from the page.  Note that the widget may not have been inserted
+            // into the page yet when it starts playing.
+            if (widget.isConnected) {
+                attached = true;
+                next();
+            } else if (attached) pause();
+        }, interval);
+        update();
+    };
+
+    const previous = () => {
+        if (current > 1) goTo(current - 1);
+        else if (loop) goTo(frames.length);
+    };
+
+    const playButton = createButton('Play', '▶', () => (timer ? pause() : play()));
+
+    const controls = document.createElement('div');
+    controls.classList.add('tikzjax-animation-controls');
+    controls.append(
+        createButton('Previous frame', '‹', () => {
+            pause();
+            previous();
+        }),
+        playButton,
+        createButton('Next frame', '›', () => {
+            pause();
+            next();
+        }),
+        status
+    );
+
+    widget.append(frameContainer, controls);
+    widget.tikzjaxAnimation = {
+        play,
+        pause,
+        next,
+        previous,
+        goTo,
+        get frame() {
+            return current;
+        },
+        get frameCount() {
+            return frames.length;
+        },
+        get playing() {
+            return !!timer;
+        }
+    };
+
+    update();
+
+    // Do not start playing automatically if the user has asked for reduced motion.
+    if (autoplay && !window.matchMedia?.('(prefers-reduced-motion: reduce)').matches) play();
+
+    return widget;
+};
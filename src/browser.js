@@ -0,0 +1,10 @@
+import { install } from './index';
+
+// document.currentScript polyfill
+if (document.currentScript === undefined) {
+    const scripts = document.getElementsByTagName('script');
+    document.currentScript = scripts[scripts.length - 1];
+}
+
+// The worker script and the TeX assets are loaded from the directory that this script was loaded from by default.
+install(new URL('.', document.currentScript.src).href);
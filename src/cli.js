@@ -0,0 +1,137 @@
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { prerenderHtml, renderTikz } from './node';
+import { mergeDatasets, optionsToDataset } from './dataset';
+import { findTikzScripts, getPagePreambleDataset } from './html-scripts';
+
+const usage = `Usage: tikzjax [options] <file>...
+
+Compile TikZ code to standalone svg images.  A .tex file is compiled to an svg image with the same base name.  For an
+html file, each text/tikz script in the file is compiled to an svg image named <base name>-<number>.svg, and the data
+attributes of each script and the default options of the text/tikz-preamble scripts in the file are honored.  With
+--prerender, each text/tikz script in an html file is instead replaced with its svg image, and the resulting html file
+is written to the output directory.
+
+Options:
+  -o, --output-dir <dir>      Directory in which to write the svg images (default: the directory of each file).
+  --prerender                 Replace the text/tikz scripts in html files with svg images.
+  --cache-dir <dir>           Directory in which to save generated images for reuse by later runs (with --prerender).
+  --tex-packages <json>       TeX packages to load, as for the data-tex-packages attribute.
+  --tikz-libraries <list>     TikZ libraries to load, as for the data-tikz-libraries attribute.
+  --add-to-preamble <tex>     TeX to add to the preamble, as for the data-add-to-preamble attribute.
+  --embed-fonts <mode>        Make the svg images self-contained by embedding font subsets (subset) or by converting
+                              the text to paths (outlines).
+  --theme <theme>             Make black and white follow the page colors when it is dark (dark), or when the reader
+                              prefers a dark color scheme (auto).
+  --unicode-font <font>       CSS font family for the characters that are not in the TeX fonts (default: serif).
+  --assets-dir <dir>          Directory containing tex.wasm.gz, core.dump.gz, tex_files, and fonts.
+  --show-console              Show the TeX console output.
+  -h, --help                  Show this help.`;
+
+const main = async () => {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            'output-dir': { type: 'string', short: 'o' },
+            'tex-packages': { type: 'string' },
+            'tikz-libraries': { type: 'string' },
+            'add-to-preamble': { type: 'string' },
+            'embed-fonts': { type: 'string' },
+            'unicode-font': { type: 'string' },
+            theme: { type: 'string' },
+            'assets-dir': { type: 'string' },
+            'show-console': { type: 'boolean' },
+            prerender: { type: 'boolean' },
+            'cache-dir': { type: 'string' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    });
+
+    if (values.help || !positionals.length) {
+        console.log(usage);
+        return values.help ? 0 : 1;
+    }
+
+    // The options are in the form of a dataset so that they can be merged with the data attributes of the scripts.
+    const defaultOptions = optionsToDataset({
+        texPackages: values['tex-packages'],
+        tikzLibraries: values['tikz-libraries'],
+        addToPreamble: values['add-to-preamble'],
+        showConsole: values['show-console'],
+        embedFonts: values['embed-fonts'],
+        unicodeFont: values['unicode-font'],
+        theme: values.theme,
+        assetsDir: values['assets-dir']
+    });
+
+    let failures = 0;
+
+    for (const file of positionals) {
+        const outputDir = values['output-dir'] ?? path.dirname(file);
+        const baseName = path.basename(file, path.extname(file));
+        const input = await fs.promises.readFile(file, 'utf8');
+
+        if (values.prerender) {
+            const output = path.join(outputDir, path.basename(file));
+            if (path.resolve(output) === path.resolve(file)) {
+                ++failures;
+                console.error(`Not prerendering ${file}, since that would overwrite it.  Use --output-dir.`);
+                continue;
+            }
+
+            const html = await prerenderHtml(input, {
+                ...defaultOptions,
+                cacheDir: values['cache-dir'],
+                onError: (err) => {
+                    ++failures;
+                    console.error(`Unable to prerender a script in ${file}: ${err.message}`);
+                }
+            });
+            await fs.promises.mkdir(outputDir, { recursive: true });
+            await fs.promises.writeFile(output, html);
+            console.log(`Wrote ${output}`);
+            continue;
+        }
+
+        const jobs = /\.html?$/i.test(file)
+            ? findTikzScripts(input).map((script, index) => ({
+                  source: script.source,
+                  options: mergeDatasets(defaultOptions, getPagePreambleDataset(input), script.dataset),
+                  output: path.join(outputDir, `${baseName}-${index + 1}.svg`)
+              }))
+            : [{ source: input, options: defaultOptions, output: path.join(outputDir, `${baseName}.svg`) }];
+
+        await fs.promises.mkdir(outputDir, { recursive: true });
+
+        for (const job of jobs) {
+            try {
+                const svg = await renderTikz(job.source, job.options);
+                // If the pages are split, then each page is written to a separate file.
+                const outputs = Array.isArray(svg)
+                    ? svg.map((page, index) => ({ output: job.output.replace(/\.svg$/, `-${index + 1}.svg`), page }))
+                    : [{ output: job.output, page: svg }];
+                for (const { output, page } of outputs) {
+                    await fs.promises.writeFile(output, page);
+                    console.log(`Wrote ${output}`);
+                }
+            } catch (err) {
+                ++failures;
+                console.error(`Unable to generate ${job.output}: ${err.message}`);
+                for (const diagnostic of err.diagnostics ?? []) {
+                    console.error(`    ${diagnostic.line ? `line ${diagnostic.line}: ` : ''}${diagnostic.message}`);
+                }
+            }
+        }
+    }
+
+    return failures ? 1 : 0;
+};
+
+main().then(
+    (exitCode) => (process.exitCode = exitCode),
+    (err) => {
+        console.error(err.message);
+        process.exitCode = 1;
+    }
+);
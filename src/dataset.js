@@ -0,0 +1,57 @@
+// Convert options into the form of a text/tikz script's dataset.  Object values (such as texPackages) are serialized
+// to JSON, and false or missing values are omitted.
+export const optionsToDataset = (options) => {
+    const dataset = {};
+    for (const [key, value] of Object.entries(options)) {
+        if (value === undefined || value === null || value === false) continue;
+        dataset[key] = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+    return dataset;
+};
+
+// Convert a data attribute name into the corresponding dataset key (for example data-tex-packages to texPackages).
+export const datasetKey = (attributeName) =>
+    attributeName.replace(/^data-/, '').replace(/-([a-z])/g, (_match, letter) => letter.toUpperCase());
+
+const mergeObjects = (value, laterValue) => {
+    try {
+        return JSON.stringify({ ...JSON.parse(value), ...JSON.parse(laterValue) });
+    } catch {
+        return laterValue;
+    }
+};
+
+// Options whose values are combined when datasets are merged instead of being replaced.  The packages of texPackages
+// and the colors of palette are merged (with the values of a later dataset taking precedence), the libraries of
+// tikzLibraries are combined, and the lines of addToPreamble are appended.
+const combinedOptions = {
+    texPackages: mergeObjects,
+    palette: mergeObjects,
+    tikzLibraries: (value, laterValue) =>
+        [
+            ...new Set(
+                `${value},${laterValue}`
+                    .split(',')
+                    .map((library) => library.trim())
+                    .filter((library) => library)
+            )
+        ].join(','),
+    addToPreamble: (value, laterValue) => `${value}\n${laterValue}`
+};
+
+// Merge datasets in order.  The values of later datasets replace those of earlier datasets, except for the values of
+// the texPackages, palette, tikzLibraries, and addToPreamble options which are combined.
+export const mergeDatasets = (...datasets) => {
+    const merged = {};
+    for (const dataset of datasets) {
+        for (const [key, value] of Object.entries(dataset)) {
+            merged[key] = key in merged && combinedOptions[key] ? combinedOptions[key](merged[key], value) : value;
+        }
+    }
+    return merged;
+};
+
+// Get the dataset of default options for a text/tikz-preamble script.  The content of the script is added to the
+// preamble, and its data attributes are the same as for a text/tikz script.
+export const preambleScriptDataset = (dataset, content) =>
+    content.trim() ? mergeDatasets(dataset, { addToPreamble: content.trim() }) : { ...dataset };
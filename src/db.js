@@ -0,0 +1,17 @@
+import { openDB } from 'idb';
+
+// Open the TikzJax indexed database.  This is used by both the main thread (for the generated svg images) and the TeX
+// workers (for the TeX files), so the object stores are all created here.
+export const openTikzJaxDB = () =>
+    openDB('TikzJax', 4, {
+        upgrade(db, oldVersion, _newVersion, transaction) {
+            if (!db.objectStoreNames.contains('svgImages')) db.createObjectStore('svgImages');
+            if (!db.objectStoreNames.contains('texFiles')) db.createObjectStore('texFiles');
+
+            // Before version 4 the svg images were saved without the assets version and access time, so those are
+            // removed.  The access time index is used to find the least recently used images.
+            const svgImages = transaction.objectStore('svgImages');
+            if (oldVersion < 4) svgImages.clear();
+            if (!svgImages.indexNames.contains('accessed')) svgImages.createIndex('accessed', 'accessed');
+        }
+    });
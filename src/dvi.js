@@ -0,0 +1,72 @@
+// Opcodes from the DVI format specification.
+const BOP = 139;
+const PRE = 247;
+const POST = 248;
+const POST_POST = 249;
+const PADDING = 223;
+
+// Split a DVI file into separate DVI files for each page.  The DVI file is not parsed command by command.  Instead the
+// pages are found by following the back pointers from the postamble to each beginning of page.  Font definitions may
+// be in any page before the page in which the font is used, so the font definitions from the postamble (which contains
+// all of them) are inserted at the beginning of each page.
+export const splitDviPages = (dvi) => {
+    const view = new DataView(dvi.buffer, dvi.byteOffset, dvi.byteLength);
+
+    let end = dvi.length - 1;
+    while (end > 0 && dvi[end] === PADDING) --end;
+    const postPost = end - 5;
+    if (dvi[0] !== PRE || dvi[postPost] !== POST_POST) throw new Error('Invalid DVI file.');
+
+    const post = view.getUint32(postPost + 1);
+    if (dvi[post] !== POST) throw new Error('Invalid DVI file.');
+
+    const preamble = dvi.subarray(0, 15 + dvi[14]);
+    const postHeader = dvi.subarray(post + 5, post + 29);
+    const fontDefinitions = dvi.subarray(post + 29, postPost);
+
+    const bops = [];
+    for (let bop = view.getInt32(post + 1); bop >= 0; bop = view.getInt32(bop + 41)) {
+        if (dvi[bop] !== BOP) throw new Error('Invalid DVI file.');
+        bops.unshift(bop);
+    }
+
+    return bops.map((bop, index) => {
+        const pageStart = bop + 45;
+        const pageEnd = index + 1 < bops.length ? bops[index + 1] : post;
+        const pageLength = 45 + fontDefinitions.length + pageEnd - pageStart;
+        const postOffset = preamble.length + pageLength;
+        const postPostOffset = postOffset + 29 + fontDefinitions.length;
+        const length = Math.ceil((postPostOffset + 6 + 4) / 4) * 4;
+
+        const page = new Uint8Array(length).fill(PADDING);
+        const pageView = new DataView(page.buffer);
+        let offset = 0;
+        const append = (bytes) => {
+            page.set(bytes, offset);
+            offset += bytes.length;
+        };
+
+        append(preamble);
+
+        // The beginning of page with the pointer to the previous page set to -1 since this is now the first page.
+        append(dvi.subarray(bop, bop + 41));
+        pageView.setInt32(offset, -1);
+        offset += 4;
+        append(fontDefinitions);
+        append(dvi.subarray(pageStart, pageEnd));
+
+        // The postamble with the pointer to the last page set to this page.
+        page[offset] = POST;
+        pageView.setUint32(offset + 1, preamble.length);
+        offset += 5;
+        append(postHeader);
+        pageView.setUint16(offset - 2, 1);
+        append(fontDefinitions);
+
+        page[offset] = POST_POST;
+        pageView.setUint32(offset + 1, postOffset);
+        page[offset + 5] = dvi[end];
+
+        return page;
+    });
+};
@@ -0,0 +1,41 @@
+// The error that is thrown (or with which promises are rejected) when TeX fails to generate an image.  The TeX log is
+// attached when it is available so that the cause of the failure can be determined, along with the diagnostics that
+// were parsed from the log (see tex-log.js).  The code is 'timeout' if TeX did not finish in the allowed time, and is
+// 'tex' otherwise.  The timings of the failed render are attached on the page (see renderSVG in index.js).
+export class TikzJaxError extends Error {
+    constructor(message, { code = 'tex', log = '', diagnostics = [], timings = null, cause } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = 'TikzJaxError';
+        this.code = code;
+        this.log = log;
+        this.diagnostics = diagnostics;
+        this.timings = timings;
+    }
+}
+
+// The reason with which a render that is aborted via an AbortSignal is rejected.
+export const abortReason = (signal) => signal.reason ?? new DOMException('The render was aborted.', 'AbortError');
+
+// Errors that cross the worker boundary are reduced to their name, message, and stack by default.  This serializer
+// must be registered in both the worker and the main thread so that the log and diagnostics are preserved.
+export const tikzJaxErrorSerializer = {
+    deserialize(message, defaultHandler) {
+        if (message && message.__type === '$$TikzJaxError') return new TikzJaxError(message.message, message);
+        return defaultHandler(message);
+    },
+    serialize(thing, defaultHandler) {
+        if (thing instanceof TikzJaxError) {
+            const { message, code, log, diagnostics } = thing;
+            return { __type: '$$TikzJaxError', message, code, log, diagnostics };
+        }
+        return defaultHandler(thing);
+    }
+};
+
+// Convert an error received from the worker into a TikzJaxError.  Errors that are not TikzJaxErrors only retain their
+// message, so the log is split back out of the message if it is there.
+export const toTikzJaxError = (err) => {
+    if (err instanceof TikzJaxError) return err;
+    const [message, log = ''] = (err?.message ?? String(err)).split(/, log:\n/);
+    return new TikzJaxError(message, { log, cause: err });
+};
@@ -0,0 +1,7 @@
+import { install } from './index';
+
+// The ES module build.  This does not rely on document.currentScript (which is not set for modules), and instead
+// finds the worker script and the TeX assets relative to the url of the module by default.
+install(new URL('.', import.meta.url).href);
+
+export { render, typeset, configure, cache, queue } from './index';
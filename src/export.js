@@ -0,0 +1,144 @@
+import { buildStandaloneTexSource } from './tex-input';
+import { layoutStyleProperties } from './svg';
+
+const dpiChoices = [96, 150, 300, 600];
+
+// Serialize the svg image so that it can be used on its own.  The style that fits and aligns the image in the page
+// (the fit, maxWidth, and align options, and the baseline alignment of an inline LaTeX snippet) is removed, so that the
+// exported image has the size given by its width and height.  Other style is kept.
+const serializeSVG = (svg) => {
+    const clone = svg.cloneNode(true);
+    for (const property of layoutStyleProperties) clone.style.removeProperty(property);
+    if (!clone.style.length) clone.removeAttribute('style');
+    return new XMLSerializer().serializeToString(clone);
+};
+
+const download = (blob, filename) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+// Rasterize the svg markup to a png image at the given resolution.  The size of the svg image is in css pixels, which
+// are 96 per inch.
+const rasterize = async (markup, width, height, dpi) => {
+    const image = new Image();
+    const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml' }));
+    try {
+        image.src = url;
+        await image.decode();
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+
+    const pixelWidth = Math.max(Math.ceil((width * dpi) / 96), 1);
+    const pixelHeight = Math.max(Math.ceil((height * dpi) / 96), 1);
+    const canvas =
+        typeof OffscreenCanvas !== 'undefined'
+            ? new OffscreenCanvas(pixelWidth, pixelHeight)
+            : Object.assign(document.createElement('canvas'), { width: pixelWidth, height: pixelHeight });
+    canvas.getContext('2d').drawImage(image, 0, 0, pixelWidth, pixelHeight);
+
+    if (canvas.convertToBlob) return canvas.convertToBlob({ type: 'image/png' });
+    return new Promise((resolve, reject) =>
+        canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Unable to create the png image.'))))
+    );
+};
+
+const getSize = (svg) => {
+    try {
+        return { width: svg.width.baseVal.value, height: svg.height.baseVal.value };
+    } catch {
+        const { width, height } = svg.getBoundingClientRect();
+        return { width, height };
+    }
+};
+
+// Create a menu for exporting an svg image.  The getSVG option is a function that returns the svg element to export
+// (for an animation this is the frame that is showing).  The source and dataset are those of the text/tikz script, and
+// are used for copying the TeX source.  The embedFonts option is a function that embeds subsets of the fonts into svg
+// markup, and is used to make the exported images self-contained (unless the fonts were embedded when the image was
+// generated).  The filename option is the name without extension to use for downloaded files.
+export const createExportMenu = ({ getSVG, source, dataset, embedFonts, filename }) => {
+    const menu = document.createElement('details');
+    menu.classList.add('tikzjax-export');
+
+    const summary = document.createElement('summary');
+    summary.textContent = 'Export';
+    summary.ariaLabel = 'Export image';
+    menu.append(summary);
+
+    const panel = document.createElement('div');
+    panel.classList.add('tikzjax-export-menu');
+    menu.append(panel);
+
+    const status = document.createElement('div');
+    status.classList.add('tikzjax-export-status');
+    status.ariaLive = 'polite';
+
+    const dpiSelect = document.createElement('select');
+    const defaultDpi = parseInt(dataset.exportDpi) || 300;
+    for (const dpi of [...new Set([...dpiChoices, defaultDpi])].sort((a, b) => a - b)) {
+        const option = document.createElement('option');
+        option.value = dpi;
+        option.textContent = dpi;
+        option.selected = dpi === defaultDpi;
+        dpiSelect.append(option);
+    }
+    const dpiLabel = document.createElement('label');
+    dpiLabel.append('PNG DPI ', dpiSelect);
+
+    const standaloneSVG = async () => {
+        const markup = serializeSVG(getSVG());
+        return dataset.embedFonts ? markup : embedFonts(markup);
+    };
+
+    const png = async () => {
+        const svg = getSVG();
+        const { width, height } = getSize(svg);
+        return rasterize(await standaloneSVG(), width, height, parseInt(dpiSelect.value));
+    };
+
+    const addAction = (label, action, doneMessage) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = label;
+        button.addEventListener('click', async () => {
+            status.textContent = '';
+            try {
+                await action();
+                status.textContent = doneMessage ?? '';
+                if (!doneMessage) menu.open = false;
+            } catch (err) {
+                console.log(err);
+                status.textContent = `Unable to ${label.toLowerCase()}.`;
+            }
+        });
+        panel.append(button);
+    };
+
+    addAction('Download SVG', async () =>
+        download(new Blob([await standaloneSVG()], { type: 'image/svg+xml' }), `${filename}.svg`)
+    );
+    addAction('Download PNG', async () => download(await png(), `${filename}.png`));
+    panel.append(dpiLabel);
+    // The clipboard item is given the promise for the png image, since some browsers require that the clipboard be
+    // written to immediately after the click.
+    addAction(
+        'Copy image',
+        () => navigator.clipboard.write([new ClipboardItem({ 'image/png': png() })]),
+        'Image copied.'
+    );
+    addAction('Copy SVG', async () => navigator.clipboard.writeText(await standaloneSVG()), 'SVG copied.');
+    addAction(
+        'Copy TeX source',
+        () => navigator.clipboard.writeText(buildStandaloneTexSource(source, dataset)),
+        'TeX source copied.'
+    );
+    panel.append(status);
+
+    return menu;
+};
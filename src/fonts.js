@@ -0,0 +1,188 @@
+// The CommonJS build of fonteditor-core is used, since its ES module build assigns module.exports, which webpack
+// does not allow in an ES module.
+import { Font } from 'fonteditor-core/lib/main.js';
+import pako from 'pako';
+import { decodeEntities, formatNumber, shortHash } from './markup';
+
+// Fonts that have been parsed for converting glyphs to outlines keyed by the font data.
+const parsedFonts = new WeakMap();
+
+const toArrayBuffer = (data) => data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+
+const parseFont = (data) => {
+    if (!parsedFonts.has(data)) {
+        parsedFonts.set(data, Font.create(toArrayBuffer(data), { type: 'ttf', compound2simple: true }).get());
+    }
+    return parsedFonts.get(data);
+};
+
+// The woff writer passes the table data to be compressed as a plain array of bytes, which pako does not accept.
+const deflate = (data) => pako.deflate(Uint8Array.from(data));
+
+// Get the code points of the characters in the content of a text element.
+const decodeText = (text) => Array.from(decodeEntities(text), (char) => char.codePointAt(0));
+
+const parseAttributes = (attributes) => {
+    const result = new Map();
+    for (const [, name, value] of attributes.matchAll(/([\w:-]+)\s*=\s*"([^"]*)"/g)) result.set(name, value);
+    const style = result.get('style') ?? '';
+    for (const property of ['font-family', 'font-size']) {
+        const match = style.match(new RegExp(`(?:^|;)\\s*${property}\\s*:\\s*([^;]+)`));
+        if (match && !result.has(property)) result.set(property, match[1].trim());
+    }
+    return result;
+};
+
+// Find the text elements in the svg markup along with the font family and the code points of the characters.  The text
+// elements for characters that are not in the TeX fonts (see unicode.js) are skipped since those fonts are not ours.
+const findTextElements = (html) =>
+    Array.from(html.matchAll(/<text\b([^>]*)>([\s\S]*?)<\/text>/g), (match) => {
+        const attributes = parseAttributes(match[1]);
+        return {
+            markup: match[0],
+            attributes,
+            family: attributes.get('font-family')?.replace(/["']/g, ''),
+            codes: decodeText(match[2])
+        };
+    }).filter(
+        (text) => text.family && /^[\w-]+$/.test(text.family) && text.attributes.get('class') !== 'tikzjax-unicode'
+    );
+
+const insertStyle = (html, css) => html.replace(/<svg\b[^>]*>/, (tag) => `${tag}<style>${css}</style>`);
+
+// Embed a subset of each font that only contains the glyphs used in the svg image.
+const embedFontSubsets = async (html, fontLoader) => {
+    const texts = findTextElements(html);
+
+    const subsets = new Map();
+    for (const { family, codes } of texts) {
+        if (!subsets.has(family)) subsets.set(family, new Set());
+        for (const code of codes) subsets.get(family).add(code);
+    }
+
+    const fontFaces = [];
+    const subsetFamilies = new Map();
+    for (const [family, codeSet] of subsets) {
+        try {
+            const codes = Array.from(codeSet).sort((a, b) => a - b);
+            const font = Font.create(toArrayBuffer(await fontLoader(family)), { type: 'ttf', subset: codes });
+            // The family name of a subset includes a hash of its code points so that the font faces of images on the
+            // same page do not replace each other.
+            const subsetFamily = `${family}-${shortHash(codes)}`;
+            fontFaces.push(
+                `@font-face{font-family:"${subsetFamily}";` +
+                    `src:url(${font.toBase64({ type: 'woff', deflate })}) format("woff");}`
+            );
+            subsetFamilies.set(family, subsetFamily);
+        } catch (err) {
+            console.log(`Unable to embed the font ${family}: ${err}`);
+        }
+    }
+
+    if (!fontFaces.length) return html;
+
+    html = html.replace(/<text\b[^>]*>/g, (tag) =>
+        tag.replace(/(font-family\s*[=:]\s*["']?)([\w-]+)/, (match, prefix, family) =>
+            subsetFamilies.has(family) ? prefix + subsetFamilies.get(family) : match
+        )
+    );
+
+    return insertStyle(html, fontFaces.join(''));
+};
+
+const midpoint = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+
+// Convert a TrueType glyph contour into svg path data.  Consecutive off curve points have an implied on curve point
+// midway between them.
+const contourToPath = (contour) => {
+    const startIndex = contour.findIndex((point) => point.onCurve);
+    const start = startIndex >= 0 ? contour[startIndex] : midpoint(contour[0], contour[1 % contour.length]);
+    const points =
+        startIndex >= 0
+            ? [...contour.slice(startIndex + 1), ...contour.slice(0, startIndex)]
+            : [...contour.slice(1), contour[0]];
+
+    let path = `M${start.x} ${start.y}`;
+    let control = null;
+    for (const point of [...points, start]) {
+        if (point.onCurve || point === start) {
+            path += control ? `Q${control.x} ${control.y} ${point.x} ${point.y}` : `L${point.x} ${point.y}`;
+            control = null;
+        } else {
+            if (control) {
+                const implied = midpoint(control, point);
+                path += `Q${control.x} ${control.y} ${implied.x} ${implied.y}`;
+            }
+            control = point;
+        }
+    }
+    return path + 'Z';
+};
+
+// Replace each text element with a group containing a path for the outline of each glyph.  The other attributes of the
+// text element (for example the fill color) are kept on the group.  Text elements with characters that are not in the
+// font are left as they are.
+const convertTextToOutlines = async (html, fontLoader) => {
+    const fonts = new Map();
+    for (const { family } of findTextElements(html)) {
+        if (fonts.has(family)) continue;
+        try {
+            fonts.set(family, parseFont(await fontLoader(family)));
+        } catch (err) {
+            console.log(`Unable to load the font ${family}: ${err}`);
+            fonts.set(family, null);
+        }
+    }
+
+    for (const { markup, attributes, family, codes } of findTextElements(html)) {
+        const font = fonts.get(family);
+        if (!font || codes.some((code) => font.cmap[code] === undefined)) continue;
+
+        const scale = (parseFloat(attributes.get('font-size')) || 10) / font.head.unitsPerEm;
+        let x = parseFloat(attributes.get('x')) || 0;
+        const y = parseFloat(attributes.get('y')) || 0;
+
+        const glyphScale = Number(scale.toPrecision(6));
+
+        const paths = [];
+        for (const code of codes) {
+            const glyf = font.glyf[font.cmap[code]];
+            const d = (glyf.contours ?? [])
+                .filter((contour) => contour.length)
+                .map(contourToPath)
+                .join('');
+            if (d) {
+                paths.push(
+                    `<path transform="translate(${formatNumber(x)} ${formatNumber(y)}) ` +
+                        `scale(${glyphScale} ${-glyphScale})" ` +
+                        `d="${d}"/>`
+                );
+            }
+            x += (glyf.advanceWidth ?? 0) * scale;
+        }
+
+        const groupAttributes = Array.from(attributes)
+            .filter(([name]) => !['x', 'y', 'font-family', 'font-size', 'alignment-baseline', 'style'].includes(name))
+            .map(([name, value]) => ` ${name}="${value}"`);
+        const style = attributes
+            .get('style')
+            ?.split(';')
+            .filter((declaration) => declaration.trim() && !/^\s*font-/.test(declaration))
+            .join(';');
+        if (style) groupAttributes.push(` style="${style}"`);
+
+        html = html.replace(markup, () => `<g${groupAttributes.join('')}>${paths.join('')}</g>`);
+    }
+
+    return html;
+};
+
+// Make the svg image self-contained, so that it displays correctly without the TikzJax fonts.css file (for example
+// when it is downloaded or copied into another document).  If mode is 'outlines', then the text is converted to paths.
+// Otherwise a subset of each font with only the glyphs that are used is embedded in the image.  The fontLoader is
+// passed a font family name (for example cmr10) and returns the data of the TrueType font.  If html is an array of
+// svg images for split pages, then the fonts are embedded in each image.
+export const embedFonts = (html, mode, fontLoader) => {
+    if (Array.isArray(html)) return Promise.all(html.map((page) => embedFonts(page, mode, fontLoader)));
+    return mode === 'outlines' ? convertTextToOutlines(html, fontLoader) : embedFontSubsets(html, fontLoader);
+};
@@ -0,0 +1,51 @@
+import { datasetKey, mergeDatasets, preambleScriptDataset } from './dataset';
+import { decodeEntities } from './markup';
+
+const parseAttributes = (attributeString) => {
+    const attributes = {};
+    for (const match of attributeString.matchAll(/([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g)) {
+        attributes[match[1].toLowerCase()] = decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+    }
+    return attributes;
+};
+
+// Find the scripts of the given types in an html document without a DOM.  Each script is returned as an object of the
+// form
+//     { start, end, source, attributes, dataset }
+// where start and end are the offsets of the script element in the html, source is the content of the script,
+// attributes contains all of the script's attributes, and dataset contains its data attributes in the same form as an
+// element's dataset.
+const findScripts = (html, ...types) => {
+    const scripts = [];
+    for (const match of html.matchAll(/<script\b((?:[^>"']|"[^"]*"|'[^']*')*)>([\s\S]*?)<\/script\s*>/gi)) {
+        const attributes = parseAttributes(match[1]);
+        if (!types.includes(attributes.type)) continue;
+
+        const dataset = {};
+        for (const [name, value] of Object.entries(attributes)) {
+            if (name.startsWith('data-')) dataset[datasetKey(name)] = value;
+        }
+
+        scripts.push({
+            start: match.index,
+            end: match.index + match[0].length,
+            source: match[2],
+            attributes,
+            dataset
+        });
+    }
+    return scripts;
+};
+
+// Find the text/tikz and text/tex scripts in an html document.  The source of each script is the TikZ code (or the
+// LaTeX snippet of a text/tex script, whose dataset has the tex mode).
+export const findTikzScripts = (html) =>
+    findScripts(html, 'text/tikz', 'text/tex').map((script) =>
+        script.attributes.type === 'text/tex' ? { ...script, dataset: { mode: 'tex', ...script.dataset } } : script
+    );
+
+// Get the default options for the text/tikz scripts in an html document from its text/tikz-preamble scripts.
+export const getPagePreambleDataset = (html) =>
+    mergeDatasets(
+        ...findScripts(html, 'text/tikz-preamble').map((script) => preambleScriptDataset(script.dataset, script.source))
+    );
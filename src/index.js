@@ -1,255 +1,940 @@
-import { Worker, spawn, Thread } from 'threads';
-import { openDB } from 'idb';
+import { clearCache, deleteCachedItem, getCacheStats, getCachedItem, pruneCache, setCachedItem } from './svg-cache';
+import { mergeDatasets, optionsToDataset, preambleScriptDataset } from './dataset';
+import { makeIdsUnique } from './svg';
+import { addTextAlternatives } from './accessibility';
+import { createAnimationElement } from './animation';
+import { createExportMenu } from './export';
+import { TikzJaxError, abortReason, toTikzJaxError } from './errors';
+import { createWorkerPool, defaultPoolSize } from './worker-pool';
+import { createRenderQueue } from './render-queue';
+import { createSharedRuns } from './shared-runs';
+import { defineTikzDiagram } from './tikz-diagram';
 import '../css/container.css';
 
-// document.currentScript polyfill
-if (document.currentScript === undefined) {
-    const scripts = document.getElementsByTagName('script');
-    document.currentScript = scripts[scripts.length - 1];
-}
-
-// Determine where this script was loaded from. This is used to find the files to load.
-const url = new URL(document.currentScript.src);
-
-const dbPromise = openDB('TikzJax', 2, {
-    upgrade(db) {
-        db.createObjectStore('svgImages');
-    }
-});
-const getItem = async (key) => (await dbPromise).get('svgImages', key);
-const setItem = async (key, val) => (await dbPromise).put('svgImages', val, key);
-
 const createHash = async (string) => {
     return Array.from(new Uint8Array(await window.crypto.subtle.digest('SHA-1', new TextEncoder().encode(string))))
         .map((b) => b.toString(16).padStart(2, '0'))
         .join('');
 };
 
-const processQueue = [];
+// Global options that can be changed with TikzJax.configure.
+const config = {
+    baseUrl: null,
+    workerUrl: null,
+    wasmUrl: null,
+    coreDumpUrl: null,
+    texFilesUrl: null,
+    fontsUrl: null,
+    defaults: {},
+    theme: 'light',
+    palette: {},
+    autoTypeset: true,
+    disableCache: false,
+    cacheMaxEntries: 1000,
+    cacheMaxSize: 50000000,
+    showConsole: false,
+    showErrors: false,
+    export: false,
+    lazy: false,
+    lazyMargin: '200px',
+    updateDelay: 300,
+    timeout: 60000,
+    workerCount: defaultPoolSize()
+};
+
 let observer = null;
-let texWorker;
+let visibilityObserver = null;
+let liveObserver = null;
+let workerPool = null;
+
+// TeX runs that are in progress keyed by source hash.  This prevents TeX from being run more than once at the same
+// time for duplicate sources.
+const texRuns = createSharedRuns();
+
+// Abort controllers for the scripts that are waiting for TeX keyed by the loader that replaced the script.  If a loader
+// is removed from the page, then the TeX run for the script is aborted.
+const pendingLoaders = new Map();
+
+// Abort controllers for the live containers that are being updated.  If a container is removed from the page, then the
+// TeX run for the update is aborted.
+const liveUpdates = new Map();
+
+// The abort signals of the renders of tikz-diagram elements that are in progress.  When a render is replaced by a newer
+// one, the render that is replaced must not remove the element from the queue or stop observing it.
+const diagramRenders = new Map();
+
+// The loaders that are observed to find which are near the viewport (the loaders in visibleLoaders).  The value for a
+// loader that is waiting to be rendered lazily is a function that is called when the loader comes near the viewport.
+const observedLoaders = new Map();
+const visibleLoaders = new Set();
+
+// The queue of the scripts on the page that are being rendered.
+const renderQueue = createRenderQueue((stats) =>
+    document.dispatchEvent(new CustomEvent('tikzjax-queue-progress', { detail: stats }))
+);
+
+// Get the urls of the worker script and the files that it loads.  Each url defaults to the location of the file in the
+// baseUrl directory.  The urls are made absolute, since the worker may be loaded from a different location.
+const getAssetUrls = () => {
+    const baseUrl = new URL(config.baseUrl ?? '.', document.baseURI);
+    if (!baseUrl.pathname.endsWith('/')) baseUrl.pathname += '/';
+    const resolve = (url, path) => new URL(url ?? path, baseUrl).href.replace(/\/$/, '');
+    return {
+        workerUrl: resolve(config.workerUrl, 'run-tex.js'),
+        wasmUrl: resolve(config.wasmUrl, 'tex.wasm.gz'),
+        coreDumpUrl: resolve(config.coreDumpUrl, 'core.dump.gz'),
+        texFilesUrl: resolve(config.texFilesUrl, 'tex_files'),
+        fontsUrl: resolve(config.fontsUrl, 'fonts')
+    };
+};
 
-const processTikzScripts = async (scripts) => {
-    const currentProcessPromise = new Promise((resolve) => {
-        const texQueue = [];
-
-        const loadCachedOrSetupLoader = async (elt) => {
-            elt.sourceHash = await createHash(JSON.stringify(elt.dataset) + elt.childNodes[0].nodeValue);
-
-            const savedSVG = elt.dataset.disableCache ? undefined : await getItem(elt.sourceHash);
-
-            if (savedSVG) {
-                const svg = document.createRange().createContextualFragment(savedSVG).firstChild;
-                elt.replaceWith(svg);
-
-                // Emit a bubbling event that the svg is ready.
-                const loadFinishedEvent = new Event('tikzjax-load-finished', { bubbles: true });
-                svg.dispatchEvent(loadFinishedEvent);
-
-                document.dispatchEvent(new CustomEvent('tikzjax-render-finished', { detail: { status: 'success', message: '' } }));
-            } else {
-                texQueue.push(elt);
-
-                const width = parseFloat(elt.dataset.width) || 75;
-                const height = parseFloat(elt.dataset.height) || 75;
-
-                // Replace the elt with a spinning loader.
-                elt.loader = document
-                    .createRange()
-                    .createContextualFragment(
-                        '<svg version="1.1" ' +
-                            'xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" ' +
-                            `width="${width}pt" height="${height}pt" viewBox="0 0 ${width} ${height}">` +
-                            `<rect width="${width}" height="${height}" rx="5pt" ry="5pt" ` +
-                            'fill="#000" fill-opacity="0.2"/>' +
-                            `<circle cx="${width / 2}" cy="${height / 2}" r="15" stroke="#f3f3f3" ` +
-                            'fill="none" stroke-width="3"/>' +
-                            `<circle cx="${width / 2}" cy="${height / 2}" r="15" stroke="#3498db" ` +
-                            'fill="none" stroke-width="3" stroke-linecap="round">' +
-                            '<animate attributeName="stroke-dasharray" begin="0s" dur="2s" ' +
-                            'values="56.5 37.7;1 93.2;56.5 37.7" keyTimes="0;0.5;1" repeatCount="indefinite">' +
-                            '</animate>' +
-                            '<animate attributeName="stroke-dashoffset" begin="0s" dur="2s" ' +
-                            'from="0" to="188.5" repeatCount="indefinite"></animate></circle>' +
-                            '</svg>'
-                    ).firstChild;
-                elt.replaceWith(elt.loader);
-            }
-        };
+const getWorkerPool = () => {
+    if (!workerPool) workerPool = createWorkerPool(getAssetUrls(), config.workerCount);
+    return workerPool;
+};
 
-        const process = async (elt) => {
-            const text = elt.childNodes[0].nodeValue;
-            const loader = elt.loader;
+// Get the default options from the text/tikz-preamble scripts on the page in document order.
+const getPagePreambleDataset = () =>
+    mergeDatasets(
+        ...Array.from(document.querySelectorAll('script[type="text/tikz-preamble"]'), (script) =>
+            preambleScriptDataset(script.dataset, script.textContent)
+        )
+    );
 
-            // Check for a saved svg again in case this script tag is a duplicate of another.
-            const savedSVG = elt.dataset.disableCache ? undefined : await getItem(elt.sourceHash);
+// Merge the global default options and the default options of the text/tikz-preamble scripts into the dataset of a
+// script or the options of a render.  The options that are set for the script or render take precedence, except that
+// packages, libraries, and preamble lines are combined.  Since the merged dataset is used for the cache key, changing
+// the defaults causes the images to be generated again.  The global theme and palette are merged in first, since they
+// change the generated images as well.
+const withDefaults = (dataset) =>
+    mergeDatasets(
+        optionsToDataset({
+            theme: config.theme !== 'light' ? config.theme : null,
+            palette: Object.keys(config.palette).length ? config.palette : null
+        }),
+        optionsToDataset(config.defaults),
+        getPagePreambleDataset(),
+        dataset
+    );
 
-            if (savedSVG) {
-                const svg = document.createRange().createContextualFragment(savedSVG).firstChild;
-                loader.replaceWith(svg);
+const isCacheDisabled = (dataset) => config.disableCache || !!dataset.disableCache;
 
-                // Emit a bubbling event that the svg is ready.
-                const loadFinishedEvent = new Event('tikzjax-load-finished', { bubbles: true });
-                svg.dispatchEvent(loadFinishedEvent);
+const cacheLimits = () => ({ maxEntries: config.cacheMaxEntries, maxSize: config.cacheMaxSize });
 
-                document.dispatchEvent(new CustomEvent('tikzjax-render-finished', { detail: { status: 'success', message: '' } }));
-                return;
-            }
+const parseSVG = (html) => document.createRange().createContextualFragment(html).firstChild;
 
-            let html = '';
-            try {
-                texWorker = await initializeWorker();
-                html = await texWorker.texify(text, Object.assign({}, elt.dataset));
-            } catch (err) {
-                console.log(err);
-                // Show the browser's image not found icon.
-                // loader.outerHTML = '<img src="//invalid.site/img-not-found.png">';
-                loader.outerHTML = '<svg t="1749826398409" class="icon" viewBox="0 0 1066 1024" version="1.1" xmlns="http://www.w3.org/2000/svg" p-id="4919" width="32" height="32"><path d="M989.862 927.004c-135.295-90.218-294.921-138.292-458.239-138.02-164.051 0-321.064 47.76-454.396 135.705-24.022 16.8-29.686 49.632-12.651 73.333 16.34 22.715 47.797 28.928 71.744 14.187 116.97-77.157 254.579-118.262 395.304-118.027 144.213 0 281.6 42.08 398.505 119.926 23.925 16.96 57.248 11.562 74.432-12.027 17.184-23.584 11.733-56.459-12.203-73.413a60.064 60.064 0 0 0-2.496-1.664m-83.2-611.41c88.363 0 160-70.65 160-157.797S995.025 0 906.662 0c-88.361 0-160 70.65-160 157.797s71.639 157.796 160 157.796m-746.662 0c88.361 0 160-70.65 160-157.796S248.36 0 160 0C71.637 0 0 70.65 0 157.797s71.637 157.796 160 157.796" fill="#AAAAAA" p-id="4920"></path></svg>';
-
-                document.dispatchEvent(new CustomEvent('tikzjax-render-finished', { detail: { status: 'error', message: err.toString() } }));
-                return;
-            } finally {
-                await Thread.terminate(await texWorker);
-                texWorker = null;
-            }
+// The cached value is an array of svg images for scripts whose pages are split, and a single svg image otherwise.
+const getCachedSVG = async (dataset, sourceHash) => {
+    const savedSVG = isCacheDisabled(dataset) ? undefined : await getCachedItem(sourceHash);
+    if (savedSVG) return Array.isArray(savedSVG) ? savedSVG.map(parseSVG) : parseSVG(savedSVG);
+};
 
-            const ids = html.match(/\bid="pgf[^"]*"/g);
-            if (ids) {
-                // Sort the ids from longest to shortest.
-                ids.sort((a, b) => {
-                    return b.length - a.length;
-                });
-                for (const id of ids) {
-                    const pgfIdString = id.replace(/id="pgf(.*)"/, '$1');
-                    html = html.replaceAll('pgf' + pgfIdString, `pgf${elt.sourceHash}${pgfIdString}`);
-                }
-            }
+// Run TeX on the given source in a worker and return the generated svg markup (or an array of the svg markup for each
+// page if the pages are split) along with the TeX log and the timings of the run.  A run is shared by all requests for
+// the same source, and is only aborted if all of the requests are aborted.  The priority of a request (a number or a
+// function that returns a number) determines the order in which waiting runs are given a worker, and a shared run has
+// the highest priority of its requests.  The onStart function of a request is called when TeX starts running for it.
+const texify = (text, dataset, sourceHash, options) =>
+    texRuns.join(sourceHash, (runOptions) => runTeX(text, dataset, sourceHash, runOptions), options);
+
+const runTeX = async (text, dataset, sourceHash, { signal, priority, onStart }) => {
+    const timeout = dataset.timeout !== undefined ? parseInt(dataset.timeout) || 0 : config.timeout;
+    const { html, log, timings } = await getWorkerPool().run(
+        (tex) => {
+            onStart();
+            return tex.texify(text, config.showConsole ? { ...dataset, showConsole: 'true' } : dataset);
+        },
+        { signal, timeout, priority }
+    );
+    return {
+        html: Array.isArray(html)
+            ? html.map((page, index) => makeIdsUnique(page, `${sourceHash}p${index + 1}`))
+            : makeIdsUnique(html, sourceHash),
+        log,
+        timings
+    };
+};
 
-            html = '<div>' + html + '</div>';
+// The svg image is inserted as it is, since its size was set from the TeX bounding box (see sizeSVG in svg.js), with
+// its text alternatives (see accessibility.js).  The id makes the ids of the title and desc of the image unique.
+const createSVGElement = (html, dataset, id, source) => parseSVG(addTextAlternatives(html, dataset, { id, source }));
+
+// Get the elements that are inserted into the page for the generated svg images.  If the image is animated, then the
+// pages are the frames of an animation widget.  Otherwise each page is inserted.
+const createImageElements = (svg, dataset) => {
+    if (!dataset.animate || !Array.isArray(svg)) return [].concat(svg);
+    return [
+        createAnimationElement(svg, {
+            interval: parseInt(dataset.frameInterval) || 1000,
+            autoplay: !!dataset.autoplay,
+            loop: dataset.loop !== 'false',
+            ariaLabel: dataset.ariaLabel
+        })
+    ];
+};
 
-            const svg = document.createRange().createContextualFragment(html).firstChild;
-            svg.role = 'img';
+// Add an export menu to each of the images for a script if exporting is enabled.  Images are put into a container with
+// the menu, and the menu for an animation is added to its controls and exports the frame that is showing.
+const addExportMenus = (images, elt) => {
+    if (!config.export && !elt.tikzDataset.export) return images;
+
+    const filename = elt.tikzDataset.exportName || `tikzjax-${elt.sourceHash.slice(0, 8)}`;
+    const options = {
+        source: elt.tikzSource,
+        dataset: elt.tikzDataset,
+        embedFonts: (markup) => getWorkerPool().run((tex) => tex.embedFonts(markup, 'subset'))
+    };
+
+    return images.map((image, index) => {
+        if (image.tikzjaxAnimation) {
+            const frames = image.querySelector('.tikzjax-animation-frames').children;
+            image.querySelector('.tikzjax-animation-controls').append(
+                createExportMenu({
+                    ...options,
+                    getSVG: () => frames[image.tikzjaxAnimation.frame - 1],
+                    filename
+                })
+            );
+            return image;
+        }
 
-            svg.style.position = 'relative';
-            svg.style.width = `${svg.scrollWidth}px`;
-            svg.style.height = `${svg.scrollHeight}px`;
-            for (const child of svg.children) {
-                child.style = 'position: absolute; top: 0; left: 0;';
-            }
+        const container = document.createElement('div');
+        container.classList.add('tikzjax-export-container');
+        container.append(
+            image,
+            createExportMenu({
+                ...options,
+                getSVG: () => image,
+                filename: images.length > 1 ? `${filename}-${index + 1}` : filename
+            })
+        );
+        return container;
+    });
+};
 
-            if (elt.dataset.ariaLabel) {
-                const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
-                title.textContent = elt.dataset.ariaLabel;
-                svg.prepend(title);
+// Create a spinning loader of the given size (in points) that is shown in place of an image while TeX runs.  The loader
+// is a busy image so that screen readers announce that the diagram is still being rendered.
+const createLoader = (width, height) =>
+    document
+        .createRange()
+        .createContextualFragment(
+            '<svg version="1.1" ' +
+                'xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" ' +
+                `width="${width}pt" height="${height}pt" viewBox="0 0 ${width} ${height}" ` +
+                'role="img" aria-busy="true"><title>Rendering diagram</title>' +
+                `<rect width="${width}" height="${height}" rx="5pt" ry="5pt" ` +
+                'fill="#000" fill-opacity="0.2"/>' +
+                `<circle cx="${width / 2}" cy="${height / 2}" r="15" stroke="#f3f3f3" ` +
+                'fill="none" stroke-width="3"/>' +
+                `<circle cx="${width / 2}" cy="${height / 2}" r="15" stroke="#3498db" ` +
+                'fill="none" stroke-width="3" stroke-linecap="round">' +
+                '<animate attributeName="stroke-dasharray" begin="0s" dur="2s" ' +
+                'values="56.5 37.7;1 93.2;56.5 37.7" keyTimes="0;0.5;1" repeatCount="indefinite">' +
+                '</animate>' +
+                '<animate attributeName="stroke-dashoffset" begin="0s" dur="2s" ' +
+                'from="0" to="188.5" repeatCount="indefinite"></animate></circle>' +
+                '</svg>'
+        ).firstChild;
+
+// Create the icon that is shown in place of an image that fails to render (unless errors are shown).  The text
+// alternative of the icon says which diagram failed to render.
+const createErrorIcon = (dataset) => {
+    const icon = parseSVG(
+        '<svg t="1749826398409" class="icon" viewBox="0 0 1066 1024" version="1.1" xmlns="http://www.w3.org/2000/svg" p-id="4919" width="32" height="32"><path d="M989.862 927.004c-135.295-90.218-294.921-138.292-458.239-138.02-164.051 0-321.064 47.76-454.396 135.705-24.022 16.8-29.686 49.632-12.651 73.333 16.34 22.715 47.797 28.928 71.744 14.187 116.97-77.157 254.579-118.262 395.304-118.027 144.213 0 281.6 42.08 398.505 119.926 23.925 16.96 57.248 11.562 74.432-12.027 17.184-23.584 11.733-56.459-12.203-73.413a60.064 60.064 0 0 0-2.496-1.664m-83.2-611.41c88.363 0 160-70.65 160-157.797S995.025 0 906.662 0c-88.361 0-160 70.65-160 157.797s71.639 157.796 160 157.796m-746.662 0c88.361 0 160-70.65 160-157.796S248.36 0 160 0C71.637 0 0 70.65 0 157.797s71.637 157.796 160 157.796" fill="#AAAAAA" p-id="4920"></path></svg>'
+    );
+    const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+    title.textContent = dataset.ariaLabel ? `${dataset.ariaLabel} (failed to render)` : 'Diagram failed to render';
+    icon.role = 'img';
+    icon.prepend(title);
+    return icon;
+};
+
+// Create an expandable box that shows the TeX errors for an image that failed to render.
+const createErrorElement = (err) => {
+    const details = document.createElement('details');
+    details.classList.add('tikzjax-error');
+
+    const summary = document.createElement('summary');
+    summary.textContent = err.message;
+    details.append(summary);
+
+    if (err.diagnostics.length) {
+        const list = document.createElement('ul');
+        for (const diagnostic of err.diagnostics) {
+            const item = document.createElement('li');
+            const message = document.createElement('div');
+            message.textContent = (diagnostic.line ? `Line ${diagnostic.line}: ` : '') + diagnostic.message;
+            item.append(message);
+            if (diagnostic.context.length) {
+                const context = document.createElement('pre');
+                context.textContent = diagnostic.context.join('\n');
+                item.append(context);
             }
+            list.append(item);
+        }
+        details.append(list);
+    }
 
-            loader.replaceWith(svg);
+    if (err.log) {
+        const logDetails = document.createElement('details');
+        const logSummary = document.createElement('summary');
+        logSummary.textContent = 'TeX log';
+        const log = document.createElement('pre');
+        log.textContent = err.log;
+        logDetails.append(logSummary, log);
+        details.append(logDetails);
+    }
 
-            if (!elt.dataset.disableCache) {
-                try {
-                    await setItem(elt.sourceHash, svg.outerHTML);
-                } catch (err) {
-                    console.log(err);
-                }
-            }
+    return details;
+};
 
-            // Emit a bubbling event that the svg image generation is complete.
-            const loadFinishedEvent = new Event('tikzjax-load-finished', { bubbles: true });
-            svg.dispatchEvent(loadFinishedEvent);
+// The result of a render that loaded the image from the cache.  The start time is when the render was requested.
+const cachedResult = (svg, start) => ({
+    svg,
+    cached: true,
+    log: null,
+    timings: { queue: 0, tex: null, dvi2html: null, fonts: null, total: performance.now() - start }
+});
 
-            document.dispatchEvent(new CustomEvent('tikzjax-render-finished', { detail: { status: 'success', message: '' } }));
-        };
+// Get the svg image for the given source.  The cache is checked first (again in case this source is a duplicate of
+// one that was rendered while this one was waiting in the queue), and if the image is not there then TeX is run.  The
+// result is an object of the form { svg, cached, log, timings } where the timings are the numbers of milliseconds
+// that the render waited for a worker (queue), that TeX, dvi2html, and embedding the fonts took, and that the whole
+// render took (total).  If the render fails, then the timings are set on the error that is thrown.
+const renderSVG = async (text, dataset, sourceHash, { onStart, ...options } = {}) => {
+    const start = performance.now();
+    let texStart = null;
 
-        (async () => {
-            // First check the session storage to see if an image is already cached,
-            // and if so load that.  Otherwise show a spinning loader, and push the
-            // element onto the queue to run tex on.
-            for (const element of scripts) {
-                await loadCachedOrSetupLoader(element);
+    let result;
+    try {
+        const savedSVG = await getCachedSVG(dataset, sourceHash);
+        if (savedSVG) return cachedResult(savedSVG, start);
+
+        // The live region for announcing a failure needs to be in the page before TeX finishes.
+        getAnnouncer();
+        result = await texify(text, dataset, sourceHash, {
+            ...options,
+            onStart: () => {
+                texStart = performance.now();
+                onStart?.();
             }
+        });
+    } catch (e) {
+        if (options.signal?.aborted) throw e;
+        // The error of a shared TeX run is copied so that each request gets its own timings.
+        const { message, code, log, diagnostics, cause } = toTikzJaxError(e);
+        throw new TikzJaxError(message, {
+            code,
+            log,
+            diagnostics,
+            cause,
+            timings: {
+                queue: (texStart ?? performance.now()) - start,
+                tex: null,
+                dvi2html: null,
+                fonts: null,
+                total: performance.now() - start
+            }
+        });
+    }
 
-            // End here if there is nothing to run tex on.
-            if (!texQueue.length) return resolve();
+    const { html, log, timings } = result;
+    const svg = Array.isArray(html)
+        ? html.map((page, index) => createSVGElement(page, dataset, `${sourceHash}p${index + 1}`, text))
+        : createSVGElement(html, dataset, sourceHash, text);
+
+    if (!isCacheDisabled(dataset)) {
+        try {
+            await setCachedItem(
+                sourceHash,
+                Array.isArray(svg) ? svg.map((page) => page.outerHTML) : svg.outerHTML,
+                cacheLimits()
+            );
+        } catch (err) {
+            console.log(err);
+        }
+    }
 
-            // texWorker = await texWorker;
+    return {
+        svg,
+        cached: false,
+        log,
+        timings: { queue: texStart - start, ...timings, total: performance.now() - start }
+    };
+};
 
-            processQueue.push(currentProcessPromise);
-            if (processQueue.length > 1) await processQueue[processQueue.length - 2];
+// Dispatch a tikzjax-render-start, tikzjax-render-success, or tikzjax-render-error event from the target.  The events
+// bubble (out of shadow roots as well), and their detail has the sourceHash of the item and a copy of the dataset that
+// the item was given (before the defaults were merged in) along with the given detail.
+const emitRenderEvent = (target, type, item, detail = {}) =>
+    target.dispatchEvent(
+        new CustomEvent(`tikzjax-render-${type}`, {
+            bubbles: true,
+            composed: true,
+            detail: { sourceHash: item.sourceHash, dataset: { ...item.originalDataset }, ...detail }
+        })
+    );
 
-            // Run tex on the text in each of the scripts that wasn't cached.
-            for (const element of texQueue) {
-                await process(element);
-            }
+// Emit the events for a successful render from the target, which is the first element of the result.  The
+// tikzjax-render-finished event on the document is kept for compatibility.
+const emitRenderSuccess = (target, item, { cached, log, timings }, images) => {
+    emitRenderEvent(target, 'success', item, { cached, timings, log, images });
+    document.dispatchEvent(new CustomEvent('tikzjax-render-finished', { detail: { status: 'success', message: '' } }));
+};
 
-            processQueue.shift();
+// A live region that announces the renders that fail to screen readers, since the error icon or message that replaces
+// a loader is not announced when it is inserted.  The region is added to the page when the first render starts so that
+// it is in the page before anything is announced in it.
+let announcer = null;
+
+const getAnnouncer = () => {
+    if (!announcer?.isConnected) {
+        announcer = document.createElement('div');
+        announcer.classList.add('tikzjax-announcer');
+        announcer.role = 'status';
+        announcer.ariaLive = 'polite';
+        document.body.append(announcer);
+    }
+    return announcer;
+};
 
-            return resolve();
-        })();
+// Emit the events for a failed render from the target, which is the error element or icon that is shown (or the
+// element that keeps showing the previous image), and announce the failure.
+const emitRenderError = (target, item, err) => {
+    const { ariaLabel } = item.tikzDataset;
+    getAnnouncer().textContent = `${ariaLabel ? `The diagram "${ariaLabel}"` : 'A diagram'} failed to render.`;
+    emitRenderEvent(target, 'error', item, {
+        cached: false,
+        timings: err.timings,
+        log: err.log,
+        error: err,
+        message: err.toString(),
+        diagnostics: err.diagnostics
     });
-    return currentProcessPromise;
+    document.dispatchEvent(
+        new CustomEvent('tikzjax-render-finished', {
+            detail: { status: 'error', message: err.toString(), log: err.log, diagnostics: err.diagnostics }
+        })
+    );
+};
+
+// Lazy rendering can be enabled for all scripts with the lazy option of configure, and can be enabled or disabled for a
+// script with data-lazy.
+const isLazy = (dataset) => (dataset.lazy !== undefined ? dataset.lazy !== 'false' : config.lazy);
+
+const onIntersection = (entries) => {
+    for (const entry of entries) {
+        if (entry.isIntersecting) {
+            visibleLoaders.add(entry.target);
+            observedLoaders.get(entry.target)?.();
+        } else visibleLoaders.delete(entry.target);
+    }
 };
 
-const initializeWorker = async () => {
-    const urlRoot = url.href.replace(/\/tikzjax\.js(?:\?.*)?$/, '');
+const getVisibilityObserver = () => {
+    if (!visibilityObserver) {
+        visibilityObserver = new IntersectionObserver(onIntersection, { rootMargin: config.lazyMargin });
+    }
+    return visibilityObserver;
+};
+
+const observeLoader = (loader) => {
+    observedLoaders.set(loader, null);
+    getVisibilityObserver().observe(loader);
+};
 
-    // Set up the worker thread.
-    const tex = await spawn(new Worker(`${urlRoot}/run-tex.js`));
-    Thread.events(tex).subscribe((e) => {
-        if (e.type == 'message' && typeof e.data === 'string') console.log(e.data);
+const stopObserving = (loader) => {
+    observedLoaders.delete(loader);
+    visibleLoaders.delete(loader);
+    visibilityObserver?.unobserve(loader);
+};
+
+// Wait until the loader comes within the lazy margin of the viewport.
+const whenNearViewport = (loader, signal) =>
+    new Promise((resolve, reject) => {
+        if (signal.aborted) return reject(abortReason(signal));
+        if (visibleLoaders.has(loader)) return resolve();
+        const onAbort = () => reject(abortReason(signal));
+        signal.addEventListener('abort', onAbort, { once: true });
+        observedLoaders.set(loader, () => {
+            observedLoaders.set(loader, null);
+            signal.removeEventListener('abort', onAbort);
+            resolve();
+        });
     });
 
-    // Load the assembly and core dump.
+// Scripts with a higher data-priority are given a worker first.  Scripts with the same priority that are near the
+// viewport are given a worker before those that are not.
+const loaderPriority = (loader, dataset) => {
+    const priority = parseInt(dataset.priority) || 0;
+    return () => priority + (visibleLoaders.has(loader) ? 0.5 : 0);
+};
+
+// Scripts with data-live set are replaced by a live container that keeps the source of the script in its data-source
+// attribute along with the other data attributes of the script.  When any of these attributes are changed, the image
+// in the container is rendered again.
+const isLive = (dataset) => !!dataset.live;
+
+const getLiveObserver = () => {
+    if (!liveObserver) {
+        liveObserver = new MutationObserver((mutationsList) => {
+            const containers = new Set();
+            for (const mutation of mutationsList) {
+                if (mutation.attributeName.startsWith('data-')) containers.add(mutation.target);
+            }
+            for (const container of containers) scheduleLiveUpdate(container);
+        });
+    }
+    return liveObserver;
+};
+
+const withLiveContainer = (elements, elt) => {
+    if (!isLive(elt.tikzDataset)) return elements;
+
+    const container = document.createElement('div');
+    container.classList.add('tikzjax-live');
+    Object.assign(container.dataset, elt.originalDataset, { source: elt.tikzSource });
+    container.sourceHash = elt.sourceHash;
+    container.append(...elements);
+    getLiveObserver().observe(container, { attributes: true });
+    return [container];
+};
+
+// Get the number of milliseconds to wait after a change to a live container or tikz-diagram element before it is
+// rendered again from the value of its update-delay attribute (or the updateDelay option if that is not set).  Updates
+// wait until there have been no changes for this long so that TeX is not run for every keystroke of an editor.
+const getUpdateDelay = (value) => (value !== undefined && value !== null ? parseInt(value) || 0 : config.updateDelay);
+
+// Updates are delayed until the attributes of the container have not changed for the update delay.
+const scheduleLiveUpdate = (container) => {
+    clearTimeout(container.updateTimer);
+    container.updateTimer = setTimeout(
+        () => updateLiveContainer(container),
+        getUpdateDelay(container.dataset.updateDelay)
+    );
+};
+
+// Render the image for the current source and data attributes of a live container.  The previous image is kept until
+// the new one is ready (or fails to render), and an update that is still running is aborted when a new one starts.
+const updateLiveContainer = async (container) => {
+    if (!container.isConnected) return;
+
+    const item = { originalDataset: { ...container.dataset }, tikzSource: container.dataset.source ?? '' };
+    delete item.originalDataset.source;
+    item.tikzDataset = withDefaults(item.originalDataset);
+    item.sourceHash = await createHash(JSON.stringify(item.tikzDataset) + item.tikzSource);
+    if (item.sourceHash === container.sourceHash) return;
+
+    // The update that is replaced is removed from the queue here, since this update takes its place.
+    if (liveUpdates.has(container)) {
+        liveUpdates.get(container).abort();
+        renderQueue.remove(container);
+    }
+    const controller = new AbortController();
+    liveUpdates.set(container, controller);
+    const { signal } = controller;
+
+    container.sourceHash = item.sourceHash;
+    container.classList.add('tikzjax-updating');
+    container.ariaBusy = 'true';
+    observeLoader(container);
+    renderQueue.add(container);
+    emitRenderEvent(container, 'start', item);
+
+    let result;
     try {
-        await tex.load(urlRoot);
-    } catch (err) {
+        result = await renderSVG(item.tikzSource, item.tikzDataset, item.sourceHash, {
+            signal,
+            priority: loaderPriority(container, item.tikzDataset),
+            onStart: () => renderQueue.start(container)
+        });
+    } catch (e) {
+        // There is nothing to do if the update was replaced by a newer one or the container was removed from the page.
+        if (signal.aborted) {
+            if (liveUpdates.get(container) === controller) renderQueue.remove(container);
+            return;
+        }
+
+        const err = toTikzJaxError(e);
         console.log(err);
+
+        // The previous image is kept unless errors are shown.
+        let target = container;
+        if (config.showErrors || item.tikzDataset.showErrors) {
+            target = createErrorElement(err);
+            container.replaceChildren(target);
+            target.dispatchEvent(new Event('tikzjax-load-finished', { bubbles: true }));
+        }
+
+        emitRenderError(target, item, err);
+        renderQueue.finish(container, { error: true });
+        return;
+    } finally {
+        if (liveUpdates.get(container) === controller) {
+            liveUpdates.delete(container);
+            stopObserving(container);
+            container.classList.remove('tikzjax-updating');
+            container.ariaBusy = null;
+        }
+    }
+
+    const svgs = createImageElements(result.svg, item.tikzDataset);
+    container.replaceChildren(...addExportMenus(svgs, item));
+
+    for (const image of svgs) image.dispatchEvent(new Event('tikzjax-load-finished', { bubbles: true }));
+
+    emitRenderSuccess(container.firstElementChild, item, result, svgs);
+    renderQueue.finish(container);
+};
+
+const processTikzScripts = async (scripts) => {
+    const renders = [];
+
+    const loadCachedOrSetupLoader = async (elt) => {
+        const start = performance.now();
+        elt.originalDataset = scriptDataset(elt);
+        elt.tikzDataset = withDefaults(elt.originalDataset);
+        elt.tikzSource = elt.childNodes[0]?.nodeValue ?? '';
+        elt.sourceHash = await createHash(JSON.stringify(elt.tikzDataset) + elt.tikzSource);
+
+        const savedSVG = await getCachedSVG(elt.tikzDataset, elt.sourceHash);
+
+        if (savedSVG) {
+            // The start event is emitted from the script since there is no loader for an image in the cache.
+            emitRenderEvent(elt, 'start', elt);
+
+            const svgs = createImageElements(savedSVG, elt.tikzDataset);
+            const elements = withLiveContainer(addExportMenus(svgs, elt), elt);
+            elt.replaceWith(...elements);
+
+            // Emit a bubbling event that the svg is ready.
+            for (const svg of svgs) svg.dispatchEvent(new Event('tikzjax-load-finished', { bubbles: true }));
+
+            emitRenderSuccess(elements[0], elt, cachedResult(savedSVG, start), svgs);
+            renderQueue.finish(elt);
+        } else {
+            const width = parseFloat(elt.tikzDataset.width) || 75;
+            const height = parseFloat(elt.tikzDataset.height) || 75;
+
+            // Replace the elt with a spinning loader.
+            elt.loader = createLoader(width, height);
+            elt.replaceWith(elt.loader);
+            pendingLoaders.set(elt.loader, new AbortController());
+            observeLoader(elt.loader);
+            emitRenderEvent(elt.loader, 'start', elt);
+            renders.push(process(elt));
+        }
+    };
+
+    const process = async (elt) => {
+        const loader = elt.loader;
+        const { signal } = pendingLoaders.get(loader);
+
+        let result;
+        try {
+            // Lazily rendered scripts wait until they are near the viewport.
+            if (isLazy(elt.tikzDataset)) await whenNearViewport(loader, signal);
+            result = await renderSVG(elt.tikzSource, elt.tikzDataset, elt.sourceHash, {
+                signal,
+                priority: loaderPriority(loader, elt.tikzDataset),
+                onStart: () => renderQueue.start(elt)
+            });
+        } catch (e) {
+            pendingLoaders.delete(loader);
+
+            // There is nothing to do if the loader was removed from the page.
+            if (signal.aborted) {
+                renderQueue.remove(elt);
+                return;
+            }
+
+            const err = toTikzJaxError(e);
+            console.log(err);
+
+            // Show the errors if requested, and otherwise show the browser's image not found icon.
+            const errorElement =
+                config.showErrors || elt.tikzDataset.showErrors
+                    ? createErrorElement(err)
+                    : createErrorIcon(elt.tikzDataset);
+            loader.replaceWith(...withLiveContainer([errorElement], elt));
+            errorElement.dispatchEvent(new Event('tikzjax-load-finished', { bubbles: true }));
+
+            emitRenderError(errorElement, elt, err);
+            renderQueue.finish(elt, { error: true });
+            return;
+        } finally {
+            stopObserving(loader);
+        }
+
+        pendingLoaders.delete(loader);
+        const svgs = createImageElements(result.svg, elt.tikzDataset);
+        const elements = withLiveContainer(addExportMenus(svgs, elt), elt);
+        loader.replaceWith(...elements);
+
+        // Emit a bubbling event that the svg image generation is complete.
+        for (const image of svgs) image.dispatchEvent(new Event('tikzjax-load-finished', { bubbles: true }));
+
+        emitRenderSuccess(elements[0], elt, result, svgs);
+        renderQueue.finish(elt);
+    };
+
+    // All of the scripts are added to the queue first so that the queue is not idle until they are all rendered.
+    for (const element of scripts) renderQueue.add(element);
+
+    // Check the indexed database to see if an image is already cached, and if so load that.  Otherwise show a spinning
+    // loader, and start rendering the script.  The worker pool limits how many scripts TeX is run for at the same time,
+    // and gives the scripts with the highest priority a worker first.  Scripts with the same source share a TeX run.
+    for (const element of scripts) {
+        try {
+            await loadCachedOrSetupLoader(element);
+        } catch (err) {
+            console.log(err);
+            renderQueue.remove(element);
+        }
+    }
+
+    await Promise.all(renders);
+};
+
+// The types of the scripts that are rendered.  A text/tex script contains a LaTeX snippet instead of TikZ code.
+const scriptTypes = ['text/tikz', 'text/tex'];
+
+const findTikzScripts = (root) => {
+    if (root.tagName && root.tagName.toLowerCase() == 'script')
+        return scriptTypes.includes(root.getAttribute('type')) ? [root] : [];
+    if (!root.getElementsByTagName) return [];
+    return Array.prototype.slice
+        .call(root.getElementsByTagName('script'))
+        .filter((e) => scriptTypes.includes(e.getAttribute('type')));
+};
+
+// Get the options of a script from its data attributes.  A text/tex script is the same as a text/tikz script with
+// data-mode="tex".
+const scriptDataset = (elt) =>
+    elt.getAttribute('type') === 'text/tex' ? { mode: 'tex', ...elt.dataset } : { ...elt.dataset };
+
+// The renderer for tikz-diagram elements.  Diagrams are rendered with the same worker pool, cache, and queue as the
+// text/tikz scripts on the page.
+const diagramRenderer = {
+    async prepare(source, options) {
+        const item = { tikzSource: source, originalDataset: options, tikzDataset: withDefaults(options) };
+        item.sourceHash = await createHash(JSON.stringify(item.tikzDataset) + source);
+        return item;
+    },
+
+    async render(element, item, signal) {
+        diagramRenders.set(element, signal);
+        renderQueue.add(element);
+        observeLoader(element);
+        emitRenderEvent(element, 'start', item);
+
+        let result;
+        try {
+            if (isLazy(item.tikzDataset)) await whenNearViewport(element, signal);
+            result = await renderSVG(item.tikzSource, item.tikzDataset, item.sourceHash, {
+                signal,
+                priority: loaderPriority(element, item.tikzDataset),
+                onStart: () => renderQueue.start(element)
+            });
+        } catch (e) {
+            if (signal.aborted) {
+                if (diagramRenders.get(element) === signal) renderQueue.remove(element);
+                throw abortReason(signal);
+            }
+
+            const err = toTikzJaxError(e);
+            console.log(err);
+
+            renderQueue.finish(element, { error: true });
+
+            const errorShown = config.showErrors || !!item.tikzDataset.showErrors;
+            return {
+                elements: [errorShown ? createErrorElement(err) : createErrorIcon(item.tikzDataset)],
+                images: [],
+                errorShown,
+                done: () => emitRenderError(element, item, err)
+            };
+        } finally {
+            if (diagramRenders.get(element) === signal) {
+                diagramRenders.delete(element);
+                stopObserving(element);
+            }
+        }
+
+        const images = createImageElements(result.svg, item.tikzDataset);
+        renderQueue.finish(element);
+        return {
+            elements: addExportMenus(images, item),
+            images,
+            errorShown: false,
+            done: () => emitRenderSuccess(element, item, result, images)
+        };
+    },
+
+    createLoader
+};
+
+// Get the dataset for the options of render.  These are all of the options other than format and signal, merged with
+// the default options.
+const renderDataset = (options) => {
+    const texOptions = { ...options };
+    delete texOptions.format;
+    delete texOptions.signal;
+    return withDefaults(optionsToDataset(texOptions));
+};
+
+// Render the given TikZ source.  The options are the same as the data attributes that can be set on a text/tikz
+// script, but in camel case (for example texPackages, tikzLibraries, addToPreamble, ariaLabel, and disableCache).
+// The texPackages option may be given as an object.  If the format option is 'string', then the promise resolves to
+// the svg markup instead of an element.  If the pages option is 'split', then the promise resolves to an array with an
+// element (or svg markup) for each page.  If the animate option is set, then the promise resolves to an animation
+// widget whose frames are the pages (or to an array of the svg markup for the frames).  If TeX fails, then the
+// promise is rejected with a TikzJaxError.  The render can be cancelled with the signal option (an AbortSignal), in
+// which case the promise is rejected with the reason.
+export const render = async (source, options = {}) => {
+    const { format = 'element', signal } = options;
+    const dataset = renderDataset(options);
+    const sourceHash = await createHash(JSON.stringify(dataset) + source);
+
+    let svg;
+    try {
+        ({ svg } = await renderSVG(source, dataset, sourceHash, { signal }));
+    } catch (err) {
+        if (signal?.aborted) throw abortReason(signal);
+        throw toTikzJaxError(err);
     }
 
-    return tex;
+    if (format !== 'string') return dataset.animate ? createImageElements(svg, dataset)[0] : svg;
+    return Array.isArray(svg) ? svg.map((page) => page.outerHTML) : svg.outerHTML;
+};
+
+// Manage the images that are saved in the indexed database.  The key of an image is a hash of its source and options,
+// and can be computed with cache.key (which takes the same arguments as render).
+export const cache = {
+    key: (source, options = {}) => createHash(JSON.stringify(renderDataset(options)) + source),
+    delete: (key) => deleteCachedItem(key),
+    clear: () => clearCache(),
+    stats: async () => ({
+        ...(await getCacheStats()),
+        maxEntries: config.cacheMaxEntries,
+        maxSize: config.cacheMaxSize
+    })
+};
+
+// Get the progress of rendering the scripts on the page.  The stats are the numbers of scripts that are pending
+// (waiting for a worker or to come near the viewport), in progress, done, and failed, and the total number of scripts
+// since the queue was last idle.  The promise returned by whenIdle resolves when all of the scripts on the page are
+// rendered.
+export const queue = {
+    stats: () => renderQueue.stats(),
+    whenIdle: () => renderQueue.whenIdle()
+};
+
+// Process all text/tikz scripts that are in the given element (or that are the given element).  The returned promise
+// resolves when all of the scripts have been replaced.
+export const typeset = (root = document.body) => processTikzScripts(findTikzScripts(root));
+
+const urlOptions = ['baseUrl', 'workerUrl', 'wasmUrl', 'coreDumpUrl', 'texFilesUrl', 'fontsUrl'];
+
+// Change the global options (see the JavaScript API section of the README), and return the resulting options.
+export const configure = (options = {}) => {
+    let urlsChanged = false;
+    for (const key of urlOptions) {
+        if (!(key in options)) continue;
+        config[key] = options[key] ? String(options[key]) : null;
+        urlsChanged = true;
+    }
+    if (urlsChanged && workerPool) workerPool.urls = getAssetUrls();
+    if ('defaults' in options) config.defaults = { ...options.defaults };
+    if ('theme' in options) config.theme = ['dark', 'auto'].includes(options.theme) ? options.theme : 'light';
+    if ('palette' in options) config.palette = { ...options.palette };
+    if ('autoTypeset' in options) config.autoTypeset = !!options.autoTypeset;
+    if ('disableCache' in options) config.disableCache = !!options.disableCache;
+    if ('cacheMaxEntries' in options) config.cacheMaxEntries = Math.max(parseInt(options.cacheMaxEntries) || 0, 0);
+    if ('cacheMaxSize' in options) config.cacheMaxSize = Math.max(parseInt(options.cacheMaxSize) || 0, 0);
+    if ('showConsole' in options) config.showConsole = !!options.showConsole;
+    if ('showErrors' in options) config.showErrors = !!options.showErrors;
+    if ('export' in options) config.export = !!options.export;
+    if ('lazy' in options) config.lazy = !!options.lazy;
+    if ('lazyMargin' in options) {
+        config.lazyMargin = String(options.lazyMargin);
+        // The margin of an intersection observer can not be changed, so the loaders are moved to a new observer.
+        if (visibilityObserver) {
+            visibilityObserver.disconnect();
+            visibilityObserver = null;
+            for (const loader of observedLoaders.keys()) getVisibilityObserver().observe(loader);
+        }
+    }
+    if ('updateDelay' in options) config.updateDelay = Math.max(parseInt(options.updateDelay) || 0, 0);
+    if ('timeout' in options) config.timeout = Math.max(parseInt(options.timeout) || 0, 0);
+    if ('workerCount' in options) {
+        config.workerCount = Math.max(parseInt(options.workerCount) || defaultPoolSize(), 1);
+        if (workerPool) workerPool.size = config.workerCount;
+    }
+    return { ...config, defaults: { ...config.defaults } };
 };
 
 const initialize = async () => {
+    // Remove images that were generated with other versions of the TeX assets, or that are over the cache limits.
+    pruneCache(cacheLimits()).catch((err) => console.log(err));
+
     // Process any text/tikz scripts that are on the page initially.
-    processTikzScripts(
-        Array.prototype.slice
-            .call(document.getElementsByTagName('script'))
-            .filter((e) => e.getAttribute('type') === 'text/tikz')
-    );
+    typeset(document.body);
 
     // If a text/tikz script is added to the page later, then process those.
     observer = new MutationObserver((mutationsList) => {
         const newTikzScripts = [];
+        let nodesRemoved = false;
         for (const mutation of mutationsList) {
             for (const node of mutation.addedNodes) {
-                if (node.tagName && node.tagName.toLowerCase() == 'script' && node.type == 'text/tikz')
-                    newTikzScripts.push(node);
-                else if (node.getElementsByTagName)
-                    newTikzScripts.push.apply(
-                        newTikzScripts,
-                        Array.prototype.slice
-                            .call(node.getElementsByTagName('script'))
-                            .filter((e) => e.getAttribute('type') === 'text/tikz')
-                    );
+                newTikzScripts.push(...findTikzScripts(node));
             }
+            if (mutation.removedNodes.length) nodesRemoved = true;
         }
-        processTikzScripts(newTikzScripts);
+
+        // Abort the TeX runs for scripts whose loaders have been removed from the page.
+        if (nodesRemoved) {
+            for (const [loader, controller] of pendingLoaders) {
+                if (!loader.isConnected) controller.abort();
+            }
+            for (const [container, controller] of liveUpdates) {
+                if (!container.isConnected) controller.abort();
+            }
+        }
+
+        if (newTikzScripts.length) processTikzScripts(newTikzScripts);
     });
     observer.observe(document.getElementsByTagName('body')[0], { childList: true, subtree: true });
 };
 
 const shutdown = async () => {
     if (observer) observer.disconnect();
-    if (texWorker) await Thread.terminate(await texWorker);
+    if (visibilityObserver) visibilityObserver.disconnect();
+    if (liveObserver) liveObserver.disconnect();
+    if (workerPool) await workerPool.terminate();
 };
 
-if (!window.TikzJax) {
-    window.TikzJax = true;
-
-    // texWorker = initializeWorker();
-
-    if (document.readyState == 'complete') initialize();
-    else window.addEventListener('load', initialize);
-
-    // Stop the mutation observer and close the thread when the window is closed.
+// Set up the TikzJax global and start processing the text/tikz scripts on the page once it has loaded.  The
+// defaultBaseUrl is the directory that the bundle was loaded from, and is used unless the baseUrl is set in the
+// TikzJaxConfig global (which must be defined before the bundle is loaded and may contain any of the options of
+// configure).  This does nothing if TikzJax has already been installed.
+export const install = (defaultBaseUrl) => {
+    if (window.TikzJax) return window.TikzJax;
+
+    configure({ baseUrl: defaultBaseUrl, ...window.TikzJaxConfig });
+    window.TikzJax = { render, typeset, configure, cache, queue };
+    defineTikzDiagram(diagramRenderer, getUpdateDelay);
+
+    // If automatic typesetting is disabled, then the cache is still pruned when the page loads.
+    const start = () => {
+        if (config.autoTypeset) initialize();
+        else pruneCache(cacheLimits()).catch((err) => console.log(err));
+    };
+    if (document.readyState == 'complete') start();
+    else window.addEventListener('load', start);
+
+    // Stop the mutation observer and close the worker threads when the window is closed.
     window.addEventListener('unload', shutdown);
-}
+
+    return window.TikzJax;
+};
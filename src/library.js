@@ -5,6 +5,7 @@ let filesystem = {};
 let files = [];
 let showConsole = false;
 let consoleBuffer = '';
+let consoleWriter = (line) => postMessage(line);
 let memory = null;
 let inputBuffer = null;
 let callback = null;
@@ -189,7 +190,7 @@ const writeToConsole = (x) => {
         const lines = consoleBuffer.split('\n');
         consoleBuffer = lines.pop();
         for (const line of lines) {
-            if (line.length) postMessage(line);
+            if (line.length) consoleWriter(line);
         }
     }
 };
@@ -198,6 +199,12 @@ export const setShowConsole = () => {
     showConsole = true;
 };
 
+// By default console output is posted to the main thread.  This can be used to write it elsewhere when not running in
+// a worker.
+export const setConsoleWriter = (writer) => {
+    consoleWriter = writer;
+};
+
 // setup
 
 export const setMemory = (m) => {
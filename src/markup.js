@@ -0,0 +1,29 @@
+// Helpers for the svg and html markup that is generated or parsed.
+
+const escapes = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' };
+const entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+// Escape text for use in the content or an attribute value of an element.
+export const escapeXML = (text) => text.replace(/[&<>"']/g, (char) => escapes[char]);
+
+// Decode the character references and the entities for the characters that are escaped by escapeXML in text.  Other
+// named entities are left as they are.
+export const decodeEntities = (text) =>
+    text.replace(/&(?:#x([0-9a-f]+)|#(\d+)|(\w+));/gi, (match, hex, decimal, name) => {
+        if (hex) return String.fromCodePoint(parseInt(hex, 16));
+        if (decimal) return String.fromCodePoint(parseInt(decimal, 10));
+        return entities[name.toLowerCase()] ?? match;
+    });
+
+// A short hash of a string (or of an array of numbers such as code points).  This is added to the names of the classes
+// and font families that an image defines so that the styles of images on the same page do not affect each other.
+export const shortHash = (values) => {
+    let hash = 5381;
+    for (const value of typeof values === 'string' ? Array.from(values, (char) => char.codePointAt(0)) : values) {
+        hash = ((hash << 5) + hash + value) >>> 0;
+    }
+    return hash.toString(36);
+};
+
+// Format a number for the svg markup with at most three decimal places.
+export const formatNumber = (value) => String(Math.round(value * 1000) / 1000);
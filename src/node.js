@@ -0,0 +1,3 @@
+// The node entry point.
+export { renderTikz } from './render-node';
+export { prerenderHtml, tikzjaxRollupPlugin, tikzjaxWebpackPlugin } from './prerender';
@@ -0,0 +1,128 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { mergeDatasets, optionsToDataset } from './dataset';
+import { findTikzScripts, getPagePreambleDataset } from './html-scripts';
+import { renderTikz } from './render-node';
+import { makeIdsUnique } from './svg';
+import { addTextAlternatives } from './accessibility';
+
+const assetsVersion = process.env.TIKZJAX_ASSETS_VERSION;
+
+// This is the same hash of the dataset and source that is used in the browser.
+const createHash = (string) => crypto.createHash('sha1').update(string).digest('hex');
+
+const readCachedSVG = async (cacheDir, sourceHash) => {
+    try {
+        return await fs.promises.readFile(path.join(cacheDir, assetsVersion, `${sourceHash}.svg`), 'utf8');
+    } catch {
+        return null;
+    }
+};
+
+const writeCachedSVG = async (cacheDir, sourceHash, svg) => {
+    await fs.promises.mkdir(path.join(cacheDir, assetsVersion), { recursive: true });
+    await fs.promises.writeFile(path.join(cacheDir, assetsVersion, `${sourceHash}.svg`), svg);
+};
+
+// Replace each text/tikz script in the given html with the svg image generated from it.  The data attributes of the
+// scripts and the default options of the text/tikz-preamble scripts are honored as in the browser, and the other
+// options are the same as for renderTikz (for example assetsDir and texPackages) and are the defaults for all scripts.
+// If the cacheDir option is set, then generated images are saved in that directory and reused by later builds.  If TeX
+// fails for a script, then the script is left in place (so that it can still be rendered in the browser) and the error
+// is passed to the onError option (which logs the error by default).  Scripts with data-animate set are not replaced.
+export const prerenderHtml = async (html, options = {}) => {
+    const {
+        cacheDir,
+        onError = (err, script) => console.error(`Unable to prerender TikZ script at offset ${script.start}: ${err}`),
+        assetsDir,
+        ...renderOptions
+    } = options;
+
+    const replacements = [];
+    // The options are merged with the page defaults and the data attributes of each script as in the browser, so that
+    // packages and libraries are combined, and the merged options are part of the hash of each image so that changing
+    // the options causes the cached images to be generated again.
+    const pageDefaults = mergeDatasets(optionsToDataset(renderOptions), getPagePreambleDataset(html));
+
+    for (const script of findTikzScripts(html)) {
+        const dataset = mergeDatasets(pageDefaults, script.dataset);
+
+        // Animations are left to be rendered in the browser, since the animation controls need the TikzJax script.
+        if (dataset.animate) continue;
+
+        const sourceHash = createHash(JSON.stringify(dataset) + script.source);
+        const useCache = cacheDir && !dataset.disableCache;
+
+        try {
+            let svg = useCache ? await readCachedSVG(cacheDir, sourceHash) : null;
+            if (!svg) {
+                // If the pages are split, then the svg images for the pages are inserted as siblings.
+                const rendered = await renderTikz(script.source, { ...dataset, assetsDir });
+                svg = Array.isArray(rendered)
+                    ? rendered.map((page, index) => makeIdsUnique(page, `${sourceHash}p${index + 1}`)).join('')
+                    : makeIdsUnique(rendered, sourceHash);
+                if (useCache) await writeCachedSVG(cacheDir, sourceHash, svg);
+            }
+
+            // The text alternatives are added to each of the pages (see accessibility.js).
+            const pages = svg.match(/<svg\b[\s\S]*?<\/svg>/g) ?? [];
+            svg = pages
+                .map((page, index) =>
+                    addTextAlternatives(page, dataset, {
+                        id: pages.length > 1 ? `${sourceHash}p${index + 1}` : sourceHash,
+                        source: script.source
+                    })
+                )
+                .join('');
+
+            replacements.push({ script, svg });
+        } catch (err) {
+            onError(err, script);
+        }
+    }
+
+    // Replace the scripts starting from the end so that the offsets of the earlier scripts remain valid.
+    for (const { script, svg } of replacements.reverse()) {
+        html = html.slice(0, script.start) + svg + html.slice(script.end);
+    }
+
+    return html;
+};
+
+// A rollup (or vite) plugin that prerenders the text/tikz scripts in the html files that are emitted.
+export const tikzjaxRollupPlugin = (options = {}) => ({
+    name: 'tikzjax-prerender',
+    async generateBundle(_outputOptions, bundle) {
+        for (const file of Object.values(bundle)) {
+            if (file.type !== 'asset' || !/\.html?$/i.test(file.fileName)) continue;
+            file.source = await prerenderHtml(file.source.toString(), {
+                onError: (err) => this.warn(`${file.fileName}: ${err.message}`),
+                ...options
+            });
+        }
+    }
+});
+
+// A webpack plugin that prerenders the text/tikz scripts in the html files that are emitted (for example by
+// html-webpack-plugin).
+export const tikzjaxWebpackPlugin = (options = {}) => ({
+    apply(compiler) {
+        const { Compilation, WebpackError, sources } = compiler.webpack;
+        compiler.hooks.thisCompilation.tap('TikzJaxPrerender', (compilation) => {
+            compilation.hooks.processAssets.tapPromise(
+                { name: 'TikzJaxPrerender', stage: Compilation.PROCESS_ASSETS_STAGE_OPTIMIZE_TRANSFER },
+                async (assets) => {
+                    for (const name of Object.keys(assets)) {
+                        if (!/\.html?$/i.test(name)) continue;
+                        const html = await prerenderHtml(assets[name].source().toString(), {
+                            onError: (err) => compilation.warnings.push(new WebpackError(`${name}: ${err.message}`)),
+                            ...options
+                        });
+                        compilation.updateAsset(name, new sources.RawSource(html));
+                    }
+                }
+            );
+        });
+    }
+});
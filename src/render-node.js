@@ -0,0 +1,73 @@
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import * as library from './library';
+import { optionsToDataset } from './dataset';
+import { texify } from './tex';
+import { embedFonts } from './fonts';
+
+// When bundled this is the dist directory, which contains the TeX WebAssembly, the core dump, and the tex_files.
+const defaultAssetsDir = __dirname;
+
+// The compiled TeX WebAssembly and core dump keyed by assets directory, and the TeX files and fonts that have been
+// loaded keyed by path.  These are kept in memory so that they are only loaded once per process.
+const engines = new Map();
+const files = new Map();
+
+// TeX can only be run for one image at a time, since the library module keeps the state of the TeX file system.
+let renderQueue = Promise.resolve();
+
+library.setConsoleWriter((line) => console.log(line));
+
+const loadDecompress = async (file) => {
+    const data = zlib.gunzipSync(await fs.promises.readFile(file));
+    return new Uint8Array(data.buffer, data.byteOffset, data.length);
+};
+
+const loadEngine = (assetsDir) => {
+    if (!engines.has(assetsDir)) {
+        const engine = (async () => {
+            const [wasm, dump] = await Promise.all([
+                loadDecompress(path.join(assetsDir, 'tex.wasm.gz')),
+                loadDecompress(path.join(assetsDir, 'core.dump.gz'))
+            ]);
+            return { texModule: await WebAssembly.compile(wasm), coredump: dump.subarray(0, library.pages * 65536) };
+        })();
+        engines.set(assetsDir, engine);
+        engine.catch(() => engines.delete(assetsDir));
+    }
+    return engines.get(assetsDir);
+};
+
+const loadFile = async (file) => {
+    if (!files.has(file)) {
+        const data = loadDecompress(file);
+        files.set(file, data);
+        data.catch(() => files.delete(file));
+    }
+    return files.get(file);
+};
+
+// Render the given TikZ source to svg markup.  The options are the same as for TikzJax.render in the browser (for
+// example texPackages, tikzLibraries, addToPreamble, and showConsole).  The assetsDir option is the directory
+// containing tex.wasm.gz, core.dump.gz, and the tex_files directory, and defaults to the directory containing this
+// file.  If TeX fails, then the promise is rejected with a TikzJaxError.
+export const renderTikz = (source, options = {}) => {
+    const { assetsDir = defaultAssetsDir, ...texOptions } = options;
+    const dataset = optionsToDataset(texOptions);
+
+    const result = renderQueue.then(async () => {
+        const engine = await loadEngine(path.resolve(assetsDir));
+        const html = await texify(source, dataset, {
+            ...engine,
+            fileLoader: (file) => loadFile(path.resolve(assetsDir, file))
+        });
+        if (!dataset.embedFonts) return html;
+        return embedFonts(html, dataset.embedFonts, (name) =>
+            loadFile(path.resolve(assetsDir, 'fonts', `${name}.ttf.gz`))
+        );
+    });
+    renderQueue = result.catch(() => {});
+
+    return result;
+};
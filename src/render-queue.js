@@ -0,0 +1,64 @@
+// Create a queue that tracks the progress of the scripts that are being rendered.  An item is pending when it is
+// added, is in progress once TeX is running for it, and is done when it is finished (whether or not it failed).  Items
+// that are removed (for example because they were removed from the page) are no longer counted.  The onProgress
+// function is called with the stats of the queue whenever they change.  When all of the items are done, the counts
+// start over for the next items that are added.
+export const createRenderQueue = (onProgress) => {
+    const items = new Map();
+    let done = 0;
+    let failed = 0;
+    let idleWaiters = [];
+
+    const stats = () => {
+        let inProgress = 0;
+        for (const state of items.values()) {
+            if (state === 'inProgress') ++inProgress;
+        }
+        return { pending: items.size - inProgress, inProgress, done, failed, total: items.size + done };
+    };
+
+    const changed = () => {
+        const current = stats();
+        onProgress(current);
+        if (items.size) return;
+
+        done = 0;
+        failed = 0;
+        for (const resolve of idleWaiters) resolve(current);
+        idleWaiters = [];
+    };
+
+    return {
+        add(item) {
+            if (items.has(item)) return;
+            items.set(item, 'pending');
+            changed();
+        },
+
+        start(item) {
+            if (items.get(item) !== 'pending') return;
+            items.set(item, 'inProgress');
+            changed();
+        },
+
+        finish(item, { error = false } = {}) {
+            if (!items.delete(item)) return;
+            ++done;
+            if (error) ++failed;
+            changed();
+        },
+
+        remove(item) {
+            if (items.delete(item)) changed();
+        },
+
+        stats,
+
+        // Get a promise that resolves with the final stats when all of the items in the queue are done.  If the queue
+        // is empty, then the promise resolves immediately.
+        whenIdle() {
+            if (!items.size) return Promise.resolve(stats());
+            return new Promise((resolve) => idleWaiters.push(resolve));
+        }
+    };
+};
@@ -0,0 +1,60 @@
+import { abortReason } from './errors';
+
+// Create a set of runs that are shared by all requests with the same key (for example TeX runs for the same source), so
+// that the work is not done more than once at the same time.  A run is only aborted if all of its requests are aborted.
+// An aborted run is forgotten right away, so that a request for the same key that is made after that (for example by an
+// element that is added back to the page as soon as it was removed) starts a new run instead of being rejected with the
+// reason the aborted run was aborted with.
+export const createSharedRuns = () => {
+    const inProgress = new Map();
+
+    const forget = (key, run) => {
+        if (inProgress.get(key) === run) inProgress.delete(key);
+    };
+
+    return {
+        // Join the run for the key, or start it with the start function if there is none.  The start function is passed
+        // the signal of the run, its priority (a function that returns the highest priority of its requests), and an
+        // onStart function that must be called when the work of the run starts.  The priority of a request (a number or
+        // a function that returns a number) and its onStart function are given in the options, along with the signal
+        // that aborts the request.  The returned promise settles with the run, or is rejected if the request is
+        // aborted.
+        join(key, start, { signal, priority = 0, onStart } = {}) {
+            let run = inProgress.get(key);
+            if (!run) {
+                const controller = new AbortController();
+                const newRun = { controller, requests: 0, priorities: [], started: false, startListeners: [] };
+                newRun.promise = start({
+                    signal: controller.signal,
+                    priority: () => Math.max(...newRun.priorities.map((p) => (typeof p === 'function' ? p() : p))),
+                    onStart: () => {
+                        newRun.started = true;
+                        for (const listener of newRun.startListeners.splice(0)) listener();
+                    }
+                }).finally(() => forget(key, newRun));
+                inProgress.set(key, newRun);
+                run = newRun;
+            }
+            ++run.requests;
+            run.priorities.push(priority);
+            if (onStart) {
+                if (run.started) onStart();
+                else run.startListeners.push(onStart);
+            }
+
+            return new Promise((resolve, reject) => {
+                const onAbort = () => {
+                    run.priorities.splice(run.priorities.indexOf(priority), 1);
+                    if (--run.requests === 0) {
+                        forget(key, run);
+                        run.controller.abort(abortReason(signal));
+                    }
+                    reject(abortReason(signal));
+                };
+                if (signal?.aborted) return onAbort();
+                signal?.addEventListener('abort', onAbort, { once: true });
+                run.promise.then(resolve, reject).finally(() => signal?.removeEventListener('abort', onAbort));
+            });
+        }
+    };
+};
@@ -0,0 +1,122 @@
+import { openTikzJaxDB } from './db';
+
+// This is a hash of the TeX WebAssembly, core dump, and TeX files that is set at build time, followed by the version of
+// the format of the saved images (which were wrapped in a div before version 2, and had no text alternatives other than
+// a title before version 3).  Images that were generated with other assets or saved in another format are not used.
+const assetsVersion = `${process.env.TIKZJAX_ASSETS_VERSION}:3`;
+
+let dbPromise = null;
+
+const getDB = () => {
+    if (!dbPromise) dbPromise = openTikzJaxDB();
+    return dbPromise;
+};
+
+const svgSize = (svg) => [].concat(svg).reduce((size, page) => size + page.length, 0);
+
+// The access times of the images that have been read, and the limits to prune the cache to after images have been
+// saved.  These are written together after a short delay, so that reads from the cache do not wait on each other for
+// the access time to be updated, and the cache is pruned once for a batch of saved images instead of once for each.
+const accessTimes = new Map();
+let pendingLimits = null;
+let flushTimer = null;
+const flushDelay = 1000;
+
+const flush = async () => {
+    flushTimer = null;
+    const limits = pendingLimits;
+    pendingLimits = null;
+
+    if (accessTimes.size) {
+        const times = Array.from(accessTimes);
+        accessTimes.clear();
+        const tx = (await getDB()).transaction('svgImages', 'readwrite');
+        for (const [key, accessed] of times) {
+            const entry = await tx.store.get(key);
+            if (entry) await tx.store.put({ ...entry, accessed }, key);
+        }
+        await tx.done;
+    }
+
+    if (limits) await pruneCache(limits);
+};
+
+const scheduleFlush = () => {
+    if (!flushTimer) flushTimer = setTimeout(() => flush().catch((err) => console.log(err)), flushDelay);
+};
+
+// Get the cached svg image (or array of svg images for split pages) with the given key.  The access time of the image
+// is updated so that recently used images are kept when the cache is pruned.  If the image was generated with a
+// different version of the TeX assets, then it is removed and nothing is returned.
+export const getCachedItem = async (key) => {
+    const db = await getDB();
+    const entry = await db.get('svgImages', key);
+    if (!entry) return;
+
+    if (entry.version !== assetsVersion) {
+        await db.delete('svgImages', key);
+        return;
+    }
+
+    accessTimes.set(key, Date.now());
+    scheduleFlush();
+    return entry.svg;
+};
+
+// Remove the least recently used images until there are no more than maxEntries images and their total size is no
+// more than maxSize characters.  A limit of 0 means there is no limit.  Images that were generated with a different
+// version of the TeX assets are also removed.
+export const pruneCache = async ({ maxEntries = 0, maxSize = 0 } = {}) => {
+    const tx = (await getDB()).transaction('svgImages', 'readwrite');
+
+    const entries = [];
+    let totalSize = 0;
+    let cursor = await tx.store.index('accessed').openCursor();
+    while (cursor) {
+        if (cursor.value.version !== assetsVersion) await cursor.delete();
+        else {
+            entries.push({ key: cursor.primaryKey, size: cursor.value.size });
+            totalSize += cursor.value.size;
+        }
+        cursor = await cursor.continue();
+    }
+
+    // The entries are in order of access time, so the least recently used images are first.
+    while (entries.length && ((maxEntries && entries.length > maxEntries) || (maxSize && totalSize > maxSize))) {
+        const { key, size } = entries.shift();
+        await tx.store.delete(key);
+        totalSize -= size;
+    }
+
+    await tx.done;
+};
+
+// Save the svg image (or array of svg images for split pages) with the given key.  The cache is pruned to the given
+// limits after the images that are saved at about the same time have all been saved.
+export const setCachedItem = async (key, svg, limits) => {
+    const db = await getDB();
+    const now = Date.now();
+    accessTimes.delete(key);
+    await db.put('svgImages', { version: assetsVersion, svg, size: svgSize(svg), created: now, accessed: now }, key);
+    pendingLimits = limits ?? {};
+    scheduleFlush();
+};
+
+export const deleteCachedItem = async (key) => (await getDB()).delete('svgImages', key);
+
+export const clearCache = async () => (await getDB()).clear('svgImages');
+
+// Get the number of cached images, their total size in characters, and the access times of the least and most recently
+// used images.
+export const getCacheStats = async () => {
+    const stats = { entries: 0, size: 0, oldestAccess: null, newestAccess: null, version: assetsVersion };
+    let cursor = await (await getDB()).transaction('svgImages').store.index('accessed').openCursor();
+    while (cursor) {
+        ++stats.entries;
+        stats.size += cursor.value.size;
+        stats.oldestAccess ??= new Date(cursor.value.accessed);
+        stats.newestAccess = new Date(cursor.value.accessed);
+        cursor = await cursor.continue();
+    }
+    return stats;
+};
@@ -0,0 +1,97 @@
+import { formatNumber } from './markup';
+
+// Insert the source hash into the pgf ids in the svg markup (and into all references to those ids) so that the ids are
+// unique when multiple images are in the same page.
+export const makeIdsUnique = (html, sourceHash) => {
+    const ids = html.match(/\bid="pgf[^"]*"/g);
+    if (ids) {
+        // Sort the ids from longest to shortest.
+        ids.sort((a, b) => {
+            return b.length - a.length;
+        });
+        for (const id of ids) {
+            const pgfIdString = id.replace(/id="pgf(.*)"/, '$1');
+            html = html.replaceAll('pgf' + pgfIdString, `pgf${sourceHash}${pgfIdString}`);
+        }
+    }
+
+    return html;
+};
+
+// Horizontal margins and preserveAspectRatio alignments for the align option.
+const alignments = {
+    left: { margins: 'margin-left:0;margin-right:auto', aspectRatio: 'xMinYMid' },
+    center: { margins: 'margin-left:auto;margin-right:auto', aspectRatio: 'xMidYMid' },
+    right: { margins: 'margin-left:auto;margin-right:0', aspectRatio: 'xMaxYMid' }
+};
+
+// The css properties that sizeSVG sets in the style of the svg image to fit and align the image in the page.
+export const layoutStyleProperties = [
+    'width',
+    'height',
+    'max-width',
+    'display',
+    'margin-left',
+    'margin-right',
+    'vertical-align'
+];
+
+// Set the size of the svg image from the TeX bounding box (the width and height that dvi2html gives the image) and the
+// scale, maxWidth, fit, and align options of the dataset.  The image is given a viewBox so that it can be scaled by
+// css.  The scale option multiplies the width and height.  If fit is 'width', then the image is as wide as its
+// container, and if fit is 'contain', then it is as large as it can be within its container while keeping its aspect
+// ratio.  Otherwise (or if fit is 'none') it keeps its size.  The maxWidth option is a css length that limits the width
+// of the image, which is then scaled down to fit.  The align option ('left', 'center', or 'right') makes the image a
+// block that is aligned in its container (or aligns it within its box if fit is 'contain').  If the depth of a LaTeX
+// snippet below its baseline (in points) is given, then the image is a centered block unless the display option is
+// 'inline', in which case its baseline is aligned with the baseline of the surrounding text.
+export const sizeSVG = (html, dataset, depth) =>
+    html.replace(/<svg\b[^>]*>/, (tag) => {
+        const getAttribute = (name) => tag.match(new RegExp(`\\s${name}="([^"]*)"`))?.[1];
+        const setAttribute = (name, value) => {
+            tag =
+                getAttribute(name) === undefined
+                    ? tag.replace(/^<svg/, `<svg ${name}="${value}"`)
+                    : tag.replace(new RegExp(`(\\s${name}=")[^"]*`), (_match, prefix) => prefix + value);
+        };
+
+        const [width, height] = ['width', 'height'].map((name) =>
+            getAttribute(name)?.match(/^\s*([\d.]+)\s*([a-z]*)\s*$/i)
+        );
+        if (!width || !height) return tag;
+
+        if (getAttribute('viewBox') === undefined) setAttribute('viewBox', `0 0 ${width[1]} ${height[1]}`);
+
+        const scale = parseFloat(dataset.scale) > 0 ? parseFloat(dataset.scale) : 1;
+        setAttribute('width', formatNumber(parseFloat(width[1]) * scale) + width[2]);
+        setAttribute('height', formatNumber(parseFloat(height[1]) * scale) + height[2]);
+
+        // Scaled text is positioned exactly instead of being adjusted to the pixel grid.
+        setAttribute('text-rendering', 'geometricPrecision');
+
+        const inline = depth !== undefined && dataset.display === 'inline';
+        const alignment = alignments[dataset.align ?? (depth !== undefined && !inline ? 'center' : undefined)];
+        const styles = [];
+        if (dataset.fit === 'width') styles.push('width:100%', 'height:auto');
+        else if (dataset.fit === 'contain') {
+            styles.push('width:100%', 'height:100%');
+            setAttribute('preserveAspectRatio', `${alignment?.aspectRatio ?? 'xMidYMid'} meet`);
+        }
+        if (dataset.maxWidth && !/[;"<>{}]/.test(dataset.maxWidth)) {
+            styles.push(`max-width:${/^[\d.]+$/.test(dataset.maxWidth) ? `${dataset.maxWidth}px` : dataset.maxWidth}`);
+            if (dataset.fit !== 'contain') styles.push('height:auto');
+        }
+        if (inline) styles.push(`vertical-align:-${formatNumber(parseFloat(depth) * scale)}pt`);
+        else if (alignment && dataset.fit !== 'contain') styles.push('display:block', alignment.margins);
+
+        if (dataset.fit === 'width' || dataset.fit === 'contain') {
+            const className = getAttribute('class');
+            setAttribute('class', `${className ? `${className} ` : ''}tikzjax-fit-${dataset.fit}`);
+        }
+        if (styles.length) {
+            const style = getAttribute('style');
+            setAttribute('style', [...(style ? [style.replace(/;\s*$/, '')] : []), ...new Set(styles)].join(';'));
+        }
+
+        return tag;
+    });
@@ -0,0 +1,184 @@
+import { replaceUnicodeText, unicodePreamble } from './unicode';
+
+// Macros that emulate beamer style overlays for animations.  The body of the document is repeated once for each frame
+// with the \tikzjaxframe count set to the frame number.  The overlay specification of \only, \alt, and \visible is a
+// comma separated list of frame numbers and ranges (for example <2>, <2->, <-3>, or <1,3-4>).
+const framePreamble = [
+    '\\makeatletter',
+    '\\newcount\\tikzjaxframe',
+    '\\newif\\iftikzjax@visible',
+    '\\def\\tikzjax@checkspec#1-#2-#3\\@nil{\\ifx\\relax#3\\relax',
+    '\\ifnum\\tikzjaxframe=#1\\relax\\tikzjax@visibletrue\\fi',
+    '\\else\\ifnum\\tikzjaxframe<\\ifx\\relax#1\\relax1\\else#1\\fi\\relax\\else',
+    '\\ifx\\relax#2\\relax\\tikzjax@visibletrue\\else\\ifnum\\tikzjaxframe>#2\\relax\\else\\tikzjax@visibletrue\\fi\\fi',
+    '\\fi\\fi}',
+    '\\def\\tikzjax@ifvisible#1{\\tikzjax@visiblefalse',
+    '\\@for\\tikzjax@spec:=#1\\do{\\expandafter\\tikzjax@checkspec\\tikzjax@spec--\\@nil}%',
+    '\\iftikzjax@visible\\expandafter\\@firstoftwo\\else\\expandafter\\@secondoftwo\\fi}',
+    '\\def\\only<#1>#2{\\tikzjax@ifvisible{#1}{#2}{}}',
+    '\\def\\alt<#1>#2#3{\\tikzjax@ifvisible{#1}{#2}{#3}}',
+    '\\def\\visible<#1>#2{\\tikzjax@ifvisible{#1}{#2}{\\phantom{#2}}}',
+    '\\makeatother',
+    '\\newenvironment{tikzjaxframe}{}{}',
+    '\\standaloneconfig{multi=tikzjaxframe}'
+];
+
+// For LaTeX snippets (the tex mode), the source is typeset in a box in LR mode (as for the content of \mbox), and the
+// depth of the box below its baseline is written to the log so that the image can be aligned with the baseline of the
+// surrounding text.  Unless the display is inline, math is in display style and \[ and \] start and end display
+// style math.
+const texModeStart = (display) => [
+    '\\newsavebox\\tikzjaxbox',
+    '\\begin{lrbox}{\\tikzjaxbox}',
+    ...(display === 'inline' ? [] : ['\\everymath{\\displaystyle}\\def\\[{$\\displaystyle}\\def\\]{$}'])
+];
+const texModeEnd = ['\\end{lrbox}', '\\typeout{tikzjax-depth=\\the\\dp\\tikzjaxbox}', '\\usebox{\\tikzjaxbox}'];
+
+// The environments that need paragraphs or displays, which can not be used in the LR mode box of a LaTeX snippet
+// unless they are inside a box that has paragraphs (a minipage or \parbox).  The same goes for \par and $$.
+const blockEnvironments = [
+    'equation',
+    'align',
+    'alignat',
+    'gather',
+    'multline',
+    'flalign',
+    'eqnarray',
+    'displaymath',
+    'itemize',
+    'enumerate',
+    'description',
+    'center',
+    'flushleft',
+    'flushright',
+    'quote',
+    'quotation',
+    'verse',
+    'tabbing'
+];
+const blockPattern = new RegExp(
+    `\\\\begin\\s*\\{\\s*(?:${blockEnvironments.join('|')})\\*?\\s*\\}|\\\\par(?![a-zA-Z@])|\\$\\$`
+);
+
+// Find the lines of a LaTeX snippet (the tex mode) that use paragraphs or displays outside of a minipage or \parbox.
+// Since TeX would fail with an error that does not explain the cause, these are reported instead of running TeX.  The
+// returned diagnostics have the same form as those that are parsed from the TeX log (see tex-log.js).  A complete
+// document is not typeset in a box, and so is not checked.
+export const findSnippetBlocks = (input, dataset) => {
+    if (dataset.mode !== 'tex' || /\\begin\s*\{\s*document\s*\}/i.test(input)) return [];
+    const diagnostics = [];
+    let minipages = 0;
+    input.split('\n').forEach((line, index) => {
+        const code = line.replace(/(^|[^\\])%.*$/, '$1');
+        const inMinipage = minipages > 0 || /\\(?:(?:begin|end)\s*\{\s*minipage\s*\}|parbox\b)/.test(code);
+        minipages += (code.match(/\\begin\s*\{\s*minipage\s*\}/g) ?? []).length;
+        minipages -= (code.match(/\\end\s*\{\s*minipage\s*\}/g) ?? []).length;
+        const block = code.match(blockPattern);
+        if (!block || inMinipage) return;
+        diagnostics.push({
+            message:
+                `${block[0]} can not be used in a LaTeX snippet, which is typeset in one line as for \\mbox.  ` +
+                'Put paragraphs, lists, and displayed equations in a minipage, or use \\[...\\] for display math.',
+            texLine: null,
+            line: index + 1,
+            context: [line.trim()]
+        });
+    });
+    return diagnostics;
+};
+
+// Build the TeX input file for the given TikZ source and options (in the form of a text/tikz script's dataset).  The
+// returned lines are the lines of the input file, each with the line number of the corresponding line in the source (or
+// 0 for lines that were added).  If the mode option is 'tex', then the source is a LaTeX snippet instead of TikZ code
+// (unless it is a complete document).  If the unicode metrics (see measureUnicodeText in unicode.js) are given, then
+// the characters that are not in the TeX fonts are replaced with boxes of their size.  Otherwise they are left as they
+// are, which is what is wanted for a document that is compiled with a TeX distribution.
+export const buildTexInput = (input, dataset, unicodeMetrics) => {
+    const texPackages = dataset.texPackages ? JSON.parse(dataset.texPackages) : {};
+    // Remove empty lines and the documentclass, but keep track of the line number in the original source of each
+    // line that is kept so that errors can be reported with line numbers the author will recognize.  Lines that are
+    // added below are given the line number 0.
+    const sourceLines = input
+        .split('\n')
+        .map((line, index) => ({ line, number: index + 1 }))
+        .filter(({ line }) => line.trim() && !line.includes('\\documentclass'));
+
+    const beginDocument = sourceLines.findIndex(({ line }) => /\\begin\s*\{\s*document\s*\}/i.test(line));
+    let headLines = [];
+    let bodyLines = [];
+    if (beginDocument >= 0) {
+        headLines = sourceLines.slice(0, beginDocument);
+        bodyLines = sourceLines.slice(beginDocument);
+    } else if (dataset.mode === 'tex') {
+        bodyLines = [
+            ...['\\begin{document}', ...texModeStart(dataset.display)].map((line) => ({ line, number: 0 })),
+            ...sourceLines,
+            ...[...texModeEnd, '\\end{document}'].map((line) => ({ line, number: 0 }))
+        ];
+    } else {
+        bodyLines = [{ line: '\\begin{document}', number: 0 }, ...sourceLines, { line: '\\end{document}', number: 0 }];
+    }
+
+    // If the number of frames is given, then repeat the body once for each frame.  The frame environment puts each
+    // repetition on its own page.
+    const frames = parseInt(dataset.frames) || 0;
+    if (frames > 0) {
+        const endDocument = bodyLines.findIndex(({ line }) => /\\end\s*\{\s*document\s*\}/i.test(line));
+        const frameLines = bodyLines.slice(1, endDocument < 0 ? bodyLines.length : endDocument);
+        const repeatedLines = [];
+        for (let frame = 1; frame <= frames; ++frame) {
+            repeatedLines.push(
+                { line: `\\tikzjaxframe=${frame}\\relax\\begin{tikzjaxframe}`, number: 0 },
+                ...frameLines,
+                { line: '\\end{tikzjaxframe}', number: 0 }
+            );
+        }
+        bodyLines = [bodyLines[0], ...repeatedLines, ...(endDocument < 0 ? [] : bodyLines.slice(endDocument))];
+    }
+
+    const preamble =
+        Object.entries(texPackages).reduce((usePackageString, thisPackage) => {
+            usePackageString +=
+                '\\usepackage' + (thisPackage[1] ? `[${thisPackage[1]}]` : '') + `{${thisPackage[0]}}\n`;
+            return usePackageString;
+        }, '') +
+        (dataset.tikzLibraries ? `\\usetikzlibrary{${dataset.tikzLibraries}}\n` : '') +
+        (frames > 0 ? framePreamble.join('\n') + '\n' : '') +
+        (unicodeMetrics?.size ? unicodePreamble(unicodeMetrics).join('\n') + '\n' : '') +
+        (dataset.addToPreamble ? `${dataset.addToPreamble}\n` : '');
+
+    const lines = [
+        ...preamble
+            .split('\n')
+            .slice(0, -1)
+            .map((line) => ({ line, number: 0 })),
+        ...headLines
+    ];
+
+    const head = lines.map(({ line }) => line).join('\n');
+    if (head.match(/^(?:[^%\n]|\\%)*?\\usepackage(?:\[[^\]]*\])?\s*\{\s*(?:tikz-cd|quiver)\s*\}/im)) {
+        lines.push({ line: '\\tikzcdset{nodes in empty cells}', number: 0 });
+    }
+
+    lines.push(...bodyLines);
+
+    const clusters = unicodeMetrics?.size ? Array.from(unicodeMetrics.keys()) : [];
+    const texLines = clusters.length
+        ? lines.map(({ line, number }) => ({ line: replaceUnicodeText(line, clusters), number }))
+        : lines;
+
+    return { input: texLines.map(({ line }) => line).join('\n') + '\n', lines: texLines };
+};
+
+// The preamble of the LaTeX format that is loaded into the TeX core dump.  The svg driver for pgf that is also loaded
+// is only available to TikzJax, and so it is not included here.
+const formatPreamble = [
+    '\\documentclass[margin=0pt]{standalone}',
+    '\\usepackage[svgnames]{xcolor}',
+    '\\usepackage{tikz}'
+];
+
+// Get a complete TeX document for the given TikZ source and options that can be compiled with a TeX distribution.  This
+// is the input that TikzJax compiles with the preamble of the format prepended.
+export const buildStandaloneTexSource = (input, dataset) =>
+    [...formatPreamble, buildTexInput(input, dataset).input].join('\n');
@@ -0,0 +1,53 @@
+// Parse the errors in a TeX log.  Each error in the log starts with a line beginning with "! ", and is usually followed
+// by the TeX context of the error, which ends with a line of the form "l.<number> <text read so far>" followed by a
+// line containing the text that has not been read yet.
+//
+// The lineMap is an array whose entries are the line numbers in the original source of the corresponding lines of the
+// TeX input file, with 0 for lines that were added to the source.  The returned diagnostics are objects of the form
+//     { message, texLine, line, context, missingFile }
+// where texLine is the line number in the TeX input file, line is the corresponding line number in the original source
+// (or null if the error is not in a line from the original source), context is an array of the lines of the TeX
+// context, and missingFile is the name of the file that could not be found if that was the cause of the error.
+export const parseLog = (log, lineMap = []) => {
+    const logLines = log.split(/\r?\n/);
+    const diagnostics = [];
+
+    for (let i = 0; i < logLines.length; ++i) {
+        if (!logLines[i].startsWith('! ')) continue;
+
+        const diagnostic = { message: logLines[i].slice(2).trim(), texLine: null, line: null, context: [] };
+
+        // Some messages are continued on following lines until a period ends the message.
+        while (i + 1 < logLines.length && logLines[i + 1] && !/\.$/.test(diagnostic.message)) {
+            if (/^(l\.\d+|<[^>]*>|! )/.test(logLines[i + 1])) break;
+            diagnostic.message += ' ' + logLines[++i].trim();
+        }
+
+        for (let j = i + 1; j < logLines.length && j < i + 30 && !logLines[j].startsWith('! '); ++j) {
+            // The bottom line of a TeX context pair may consist only of spaces, but an empty line ends the context.
+            if (!logLines[j]) {
+                if (diagnostic.context.length) break;
+                continue;
+            }
+            if (!logLines[j].trim()) continue;
+
+            diagnostic.context.push(logLines[j].trimEnd());
+
+            const lineMatch = logLines[j].match(/^l\.(\d+)/);
+            if (lineMatch) {
+                diagnostic.texLine = parseInt(lineMatch[1]);
+                diagnostic.line = lineMap[diagnostic.texLine - 1] || null;
+                if (logLines[j + 1]?.trim()) diagnostic.context.push(logLines[j + 1].trimEnd());
+                i = j;
+                break;
+            }
+        }
+
+        const missingFile = diagnostic.message.match(/File `([^']*)' not found/);
+        diagnostic.missingFile = missingFile ? missingFile[1] : null;
+
+        diagnostics.push(diagnostic);
+    }
+
+    return diagnostics;
+};
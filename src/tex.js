@@ -0,0 +1,150 @@
+import { dvi2html } from '@yuxinzhao/dvi2html';
+import { Buffer } from 'buffer';
+import { Writable } from 'stream-browserify';
+import * as library from './library';
+import { TikzJaxError } from './errors';
+import { parseLog } from './tex-log';
+import { splitDviPages } from './dvi';
+import { buildTexInput, findSnippetBlocks } from './tex-input';
+import { findUnicodeText, measureUnicodeText, replaceUnicodeMarkers } from './unicode';
+import { applyTheme } from './theme';
+import { sizeSVG } from './svg';
+
+function composeToSVG(html) {
+    // 匹配所有 <svg> 开始标签和内容
+    const svgRegex = /<svg\b[^>]*>(.*?)<\/svg>/gs;
+    const matches = [];
+    let match;
+
+    // 提取所有 <svg> 的内容
+    while ((match = svgRegex.exec(html)) !== null) {
+        matches.push(match);
+    }
+
+    if (matches.length === 0) return '';
+
+    // 第一个 match[0] 是完整标签，match[1] 是内容
+    const firstMatch = matches[0];
+    const firstTag = firstMatch[0]; // 完整的首个 <svg...> 标签
+    const contentParts = matches.map((m) => m[1]); // 所有内容部分
+
+    // 合并内容
+    const mergedContent = contentParts.join('');
+
+    // 从第一个标签中提取开标签部分（不含内容）
+    // 我们要保留第一个 <svg ...> 的开标签结构
+    const openTagMatch = firstTag.match(/<svg\b[^>]*>/i);
+    if (!openTagMatch) return '';
+
+    const openTag = openTagMatch[0];
+    const closingTag = '</svg>';
+
+    // 拼接最终结果
+    return `${openTag}${mergedContent}${closingTag}`;
+}
+
+// Use dvi2html to convert the dvi to svg.  The markers for the given unicode clusters are replaced with text elements,
+// and the theme and size options of the dataset are applied.  The depth is that of a LaTeX snippet below its baseline.
+const dviToSVG = async (dvi, clusters, dataset, depth) => {
+    let html = '';
+    const page = new Writable({
+        write(chunk, _encoding, callback) {
+            html = html + chunk.toString();
+            callback();
+        }
+    });
+
+    async function* streamBuffer() {
+        yield Buffer.from(dvi);
+        return;
+    }
+
+    await dvi2html(streamBuffer(), page);
+
+    html = replaceUnicodeMarkers(composeToSVG(html), clusters, dataset);
+    return sizeSVG(applyTheme(html, dataset), dataset, depth);
+};
+
+// Run TeX on the given input and convert the resulting dvi into an svg image.  This is used by both the browser worker
+// and the node entry point, which each provide the compiled TeX WebAssembly module, the core dump, and a function that
+// loads files from the tex_files directory.  Since the library module keeps the state of the TeX file system, only one
+// call to this can be running at a time.  If dataset.pages is 'split' or dataset.animate is set, then each page of the
+// dvi is converted to a separate svg image, and an array of these is returned.  Otherwise all pages are combined into
+// one svg image.  If a stats object is given, then the TeX log and the number of milliseconds that TeX and dvi2html
+// took (texTime and dvi2htmlTime) are set in it.
+export const texify = async (input, dataset, { texModule, coredump, fileLoader, stats = {} }) => {
+    const texStart = performance.now();
+
+    // A LaTeX snippet with paragraphs or displays outside of a minipage is reported without running TeX.
+    const snippetDiagnostics = findSnippetBlocks(input, dataset);
+    if (snippetDiagnostics.length) {
+        throw new TikzJaxError(`The LaTeX snippet can not be typeset: ${snippetDiagnostics[0].message}`, {
+            diagnostics: snippetDiagnostics
+        });
+    }
+
+    // Set up the tex input file.  The characters that are not in the TeX fonts are measured first so that TeX can
+    // leave room for them.
+    const clusters = findUnicodeText(buildTexInput(input, dataset).input);
+    const unicodeMetrics = await measureUnicodeText(clusters, dataset);
+    const { input: texInput, lines } = buildTexInput(input, dataset, unicodeMetrics);
+
+    // Make sure nothing is left in the library from a previous run.
+    library.deleteEverything();
+
+    if (dataset.showConsole) library.setShowConsole();
+
+    library.writeFileSync('input.tex', Buffer.from(texInput));
+
+    // Set up the tex web assembly.
+    const memory = new WebAssembly.Memory({ initial: library.pages, maximum: library.pages });
+
+    const buffer = new Uint8Array(memory.buffer, 0, library.pages * 65536);
+    buffer.set(coredump.slice(0));
+
+    library.setMemory(memory.buffer);
+    library.setInput('input.tex\n\\end\n');
+    library.setFileLoader(fileLoader);
+
+    const instance = await WebAssembly.instantiate(texModule, { library, env: { memory } });
+
+    // Execute the tex web assembly.
+    await library.executeAsync(instance.exports);
+
+    // Extract the generated log file.
+    let log = library.readFileSync('input.log').buffer;
+    log = new TextDecoder('utf-8').decode(log);
+    stats.log = log;
+    const depth = log.match(/^tikzjax-depth=(-?[\d.]+)pt$/m)?.[1];
+    stats.texTime = performance.now() - texStart;
+
+    let dvi = null;
+    try {
+        // Extract the generated dvi file.
+        dvi = library.readFileSync('input.dvi').buffer;
+    } catch {
+        // Clean up the library for the next run.
+        library.deleteEverything();
+        const sourceLines = lines.map(({ number }) => number);
+        const diagnostics = parseLog(log, sourceLines);
+        throw new TikzJaxError(
+            'TeX failed to generate an image' + (diagnostics.length ? `: ${diagnostics[0].message}` : '.'),
+            { log, diagnostics }
+        );
+    }
+
+    // Clean up the library for the next run.
+    library.deleteEverything();
+
+    const dvi2htmlStart = performance.now();
+    let html;
+    if (dataset.pages === 'split' || dataset.animate) {
+        html = [];
+        for (const page of splitDviPages(new Uint8Array(dvi))) {
+            html.push(await dviToSVG(page, clusters, dataset, depth));
+        }
+    } else html = await dviToSVG(dvi, clusters, dataset, depth);
+    stats.dvi2htmlTime = performance.now() - dvi2htmlStart;
+
+    return html;
+};
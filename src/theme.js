@@ -0,0 +1,120 @@
+import { shortHash } from './markup';
+
+// The theme option makes images readable on dark pages.  If the theme is 'dark' or 'auto', then black and white (and
+// the colors in the palette option) in the svg image are replaced with css variables whose fallbacks are the original
+// colors.  A style in the image sets these variables to the dark colors, always for the 'dark' theme, and when the
+// prefers-color-scheme media query matches dark for the 'auto' theme (so the image changes as soon as the preference
+// changes).  Black becomes the --tikzjax-foreground variable (or the current text color), and white becomes the
+// --tikzjax-background variable (or black).  Other colors are left alone.
+
+// The base colors of xcolor, which may be used as the keys of the palette.
+const xcolorColors = {
+    black: '000000',
+    white: 'ffffff',
+    red: 'ff0000',
+    green: '00ff00',
+    blue: '0000ff',
+    cyan: '00ffff',
+    magenta: 'ff00ff',
+    yellow: 'ffff00',
+    gray: '808080',
+    darkgray: '404040',
+    lightgray: 'bfbfbf',
+    brown: 'bf8040',
+    lime: 'bfff00',
+    olive: '808000',
+    orange: 'ff8000',
+    pink: 'ffbfbf',
+    purple: 'bf0040',
+    teal: '008080',
+    violet: '800080'
+};
+
+const defaultDarkColors = [
+    ['000000', 'var(--tikzjax-foreground, currentColor)'],
+    ['ffffff', 'var(--tikzjax-background, #000)']
+];
+
+const toHexByte = (value) =>
+    Math.round(Math.min(Math.max(value, 0), 255))
+        .toString(16)
+        .padStart(2, '0');
+
+// Convert a color in the svg markup (#rgb, #rrggbb, rgb(r,g,b) with numbers or percentages, black, or white) into six
+// hex digits.  Other colors (for example none or url(#gradient)) give null.
+const toHex = (color) => {
+    color = color.trim().toLowerCase();
+    if (color === 'black' || color === 'white') return xcolorColors[color];
+    let match = color.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/);
+    if (match) return match[1].length === 3 ? match[1].replace(/./g, '$&$&') : match[1];
+    match = color.match(/^rgb\(\s*([\d.]+%?)\s*,\s*([\d.]+%?)\s*,\s*([\d.]+%?)\s*\)$/);
+    if (match) {
+        return match
+            .slice(1)
+            .map((value) => toHexByte(value.endsWith('%') ? (parseFloat(value) * 255) / 100 : parseFloat(value)))
+            .join('');
+    }
+    return null;
+};
+
+// The colors that pgf writes may be rounded differently than those in the table above, so colors that differ by one in
+// each component are treated as the same.
+const channels = (hex) => [0, 2, 4].map((index) => parseInt(hex.slice(index, index + 2), 16));
+const isSameColor = (hex, otherHex) => {
+    const otherChannels = channels(otherHex);
+    return channels(hex).every((value, index) => Math.abs(value - otherChannels[index]) <= 1);
+};
+
+// Get a map from the hex digits of each themed color to its dark color.  The palette option is a JSON object whose keys
+// are xcolor base color names or css colors, and whose values are the css colors to use instead when the theme is dark.
+// Entries of the palette replace the default dark colors of black and white.
+const darkColors = (dataset) => {
+    const colors = new Map(defaultDarkColors);
+    let palette = {};
+    try {
+        palette = JSON.parse(dataset.palette || '{}');
+    } catch (err) {
+        console.log(`Invalid palette: ${err}`);
+    }
+    for (const [color, darkColor] of Object.entries(palette)) {
+        const hex = xcolorColors[color] ?? toHex(color);
+        // The dark color is put into a style, so values that could end the declaration are ignored.
+        if (hex && typeof darkColor === 'string' && !/[;{}<>]/.test(darkColor)) colors.set(hex, darkColor);
+    }
+    return colors;
+};
+
+// Apply the theme of the dataset to the svg markup.
+export const applyTheme = (html, dataset) => {
+    const { theme } = dataset;
+    if (theme !== 'dark' && theme !== 'auto') return html;
+
+    const colors = darkColors(dataset);
+    const used = new Set();
+    const themedColor = (color) => {
+        const hex = toHex(color);
+        const themed = hex && Array.from(colors.keys()).find((key) => isSameColor(hex, key));
+        if (!themed) return color;
+        used.add(themed);
+        return `var(--tikzjax-color-${themed}, #${hex})`;
+    };
+
+    html = html.replace(
+        /\b(fill|stroke|stop-color|flood-color|color)(="|\s*:\s*)([^";]+)/g,
+        (_match, property, separator, value) => property + separator + themedColor(value)
+    );
+
+    // The class name includes a hash of the theme and palette so that images with different palettes do not share it.
+    const className = `tikzjax-theme-${shortHash(theme + (dataset.palette ?? ''))}`;
+    return html.replace(/<svg\b[^>]*>/, (tag) => {
+        // Elements without a fill are black, so the default fill of the image is themed as well.
+        if (!/\sfill=/.test(tag)) tag = tag.replace(/^<svg/, `<svg fill="${themedColor('#000')}"`);
+        tag = /\sclass="/.test(tag)
+            ? tag.replace(/\sclass="/, (match) => `${match}${className} `)
+            : tag.replace(/^<svg/, `<svg class="${className}"`);
+
+        const declarations = Array.from(used, (hex) => `--tikzjax-color-${hex}:${colors.get(hex)}`).join(';');
+        const rule = `.${className}{${declarations}}`;
+        return `${tag}<style>${theme === 'dark' ? rule : `@media (prefers-color-scheme:dark){${rule}}`}</style>`;
+    });
+};
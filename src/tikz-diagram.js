@@ -0,0 +1,189 @@
+import { datasetKey } from './dataset';
+import containerStyles from '../css/container.css?raw';
+
+// The attributes of a tikz-diagram element that are passed on as options.  These are the same as the data attributes
+// of a text/tikz script without the data- prefix.
+const optionAttributes = [
+    'tex-packages',
+    'tikz-libraries',
+    'add-to-preamble',
+    'aria-label',
+    'aria-description',
+    'disable-cache',
+    'show-console',
+    'show-errors',
+    'embed-fonts',
+    'unicode-font',
+    'unicode-font-url',
+    'theme',
+    'palette',
+    'scale',
+    'max-width',
+    'fit',
+    'align',
+    'mode',
+    'display',
+    'pages',
+    'animate',
+    'frames',
+    'frame-interval',
+    'autoplay',
+    'loop',
+    'export',
+    'export-dpi',
+    'export-name',
+    'timeout',
+    'lazy',
+    'priority',
+    'width',
+    'height'
+];
+
+// Define the tikz-diagram custom element.  The renderer is an object with the functions
+//     prepare(source, dataset)
+// which returns a promise that resolves to the render item for the source and dataset (with its sourceHash),
+//     render(element, item, signal)
+// which runs TeX (or loads the cached image) for the item and returns a promise that resolves to an object of the form
+// { elements, images, errorShown, done } where elements are the elements to show, images are the generated images (or
+// no images if TeX failed), errorShown is true if the elements show the TeX errors, and done is a function that emits
+// the render events once the elements are shown, and
+//     createLoader(width, height)
+// which creates the loader that is shown while the diagram is first rendered.  The update delay is a function that
+// returns the number of milliseconds to wait after a change before the diagram is rendered again given the value of
+// the update-delay attribute (or null if it is not set).
+export const defineTikzDiagram = (renderer, updateDelay) => {
+    if (customElements.get('tikz-diagram')) return;
+
+    // The TikZ code is the text content of the element, or the source attribute if it is set.  The diagram is rendered
+    // into a shadow root (so that the content of the element is left alone for frameworks that manage it) unless the
+    // no-shadow attribute is set, in which case the content is replaced by the diagram and later changes to the
+    // source must be made with the source attribute.
+    class TikzDiagram extends HTMLElement {
+        static observedAttributes = ['source', ...optionAttributes];
+
+        #root = null;
+        #contentObserver = null;
+        #lightSource = '';
+        #sourceHash = null;
+        #controller = null;
+        #timer = null;
+        // Whether a diagram or an error is shown (rather than nothing or the loader).
+        #shown = false;
+
+        connectedCallback() {
+            if (!this.#root) {
+                if (this.hasAttribute('no-shadow')) {
+                    this.#lightSource = this.textContent;
+                    this.#root = this;
+                } else {
+                    this.#root = this.attachShadow({ mode: 'open' });
+                    const style = document.createElement('style');
+                    style.textContent =
+                        ':host { display: inline-block; }\n' +
+                        ':host([fit="width"]), :host([fit="contain"]) { display: block; }\n' +
+                        ':host(.tikzjax-updating) { opacity: 0.6; transition: opacity 0.2s; }\n' +
+                        containerStyles;
+                    this.#root.append(style);
+                }
+            }
+
+            if (this.#root !== this) {
+                this.#contentObserver = new MutationObserver(() => this.#scheduleRender());
+                this.#contentObserver.observe(this, { childList: true, characterData: true, subtree: true });
+            }
+
+            this.#scheduleRender();
+        }
+
+        disconnectedCallback() {
+            this.#contentObserver?.disconnect();
+            clearTimeout(this.#timer);
+            this.#controller?.abort();
+            this.#controller = null;
+            // The diagram is rendered again if the element is added back to the page.
+            this.#sourceHash = null;
+        }
+
+        attributeChangedCallback() {
+            if (this.isConnected) this.#scheduleRender();
+        }
+
+        get source() {
+            return this.getAttribute('source') ?? (this.#root === this ? this.#lightSource : this.textContent);
+        }
+
+        set source(source) {
+            this.setAttribute('source', source);
+        }
+
+        // The options of the diagram in the form of a text/tikz script's dataset.
+        get options() {
+            const dataset = {};
+            for (const name of optionAttributes) {
+                if (this.hasAttribute(name)) dataset[datasetKey(name)] = this.getAttribute(name);
+            }
+            return dataset;
+        }
+
+        // The diagram is rendered right away the first time, and later renders wait for the update delay.
+        #scheduleRender() {
+            clearTimeout(this.#timer);
+            const delay = this.#sourceHash !== null ? updateDelay(this.getAttribute('update-delay')) : 0;
+            this.#timer = setTimeout(() => this.#render(), delay);
+        }
+
+        async #render() {
+            const item = await renderer.prepare(this.source, this.options);
+            if (!this.isConnected || item.sourceHash === this.#sourceHash) return;
+            this.#sourceHash = item.sourceHash;
+
+            // An update that is still running is replaced by this one.
+            this.#controller?.abort();
+            const controller = new AbortController();
+            this.#controller = controller;
+
+            if (!this.#shown) {
+                this.#showElements([
+                    renderer.createLoader(
+                        parseFloat(item.tikzDataset.width) || 75,
+                        parseFloat(item.tikzDataset.height) || 75
+                    )
+                ]);
+            } else this.classList.add('tikzjax-updating');
+            this.ariaBusy = 'true';
+
+            let result;
+            try {
+                result = await renderer.render(this, item, controller.signal);
+            } catch {
+                // The render was aborted, so there is nothing to do.
+                return;
+            } finally {
+                if (this.#controller === controller) {
+                    this.#controller = null;
+                    this.classList.remove('tikzjax-updating');
+                    this.ariaBusy = null;
+                }
+            }
+
+            // When an update fails, the previous diagram is kept unless errors are shown.
+            if (result.images.length || result.errorShown || !this.#shown) {
+                this.#showElements(result.elements);
+                this.#shown = true;
+
+                // The event is emitted from the images, or from the error message or icon if TeX failed.
+                for (const element of result.images.length ? result.images : result.elements) {
+                    element.dispatchEvent(new Event('tikzjax-load-finished', { bubbles: true, composed: true }));
+                }
+            }
+            result.done();
+        }
+
+        #showElements(elements) {
+            if (this.#root === this) this.replaceChildren(...elements);
+            else this.#root.replaceChildren(this.#root.querySelector('style'), ...elements);
+        }
+    }
+
+    customElements.define('tikz-diagram', TikzDiagram);
+};
@@ -0,0 +1,179 @@
+import { escapeXML } from './markup';
+
+// The TeX fonts only have the characters up to U+00FF.  Other characters (for example Chinese or Greek text, combining
+// marks, and emoji) are typeset by TeX as empty boxes with the size of the characters in the font that is given by the
+// unicodeFont option.  Each box contains a marker that is replaced with an svg text element for the characters after
+// the dvi is converted to svg.  Characters are handled in grapheme clusters (a base character with its combining marks,
+// or an emoji sequence) so that they are never split apart.
+
+// The font that is used for characters that are not in the TeX fonts if the unicodeFont option is not set.
+const defaultUnicodeFont = 'serif';
+
+// Ranges of characters that are usually as wide as they are tall (CJK characters and emoji).  These are used to
+// estimate the size of characters when they can not be measured.
+const wideRanges = [
+    [0x1100, 0x115f],
+    [0x2e80, 0xa4cf],
+    [0xac00, 0xd7a3],
+    [0xf900, 0xfaff],
+    [0xfe30, 0xfe4f],
+    [0xff00, 0xff60],
+    [0xffe0, 0xffe6],
+    [0x1f1e6, 0x1f1ff],
+    [0x1f300, 0x1faff],
+    [0x20000, 0x3fffd]
+];
+
+// Grapheme clusters when Intl.Segmenter is not available.  A cluster is a pair of regional indicators (a flag), or a
+// character with its combining marks and emoji modifiers followed by any characters joined to it with zero width
+// joiners.
+const clusterPattern =
+    /[\u{1f1e6}-\u{1f1ff}]{2}|\P{M}[\p{M}\u{1f3fb}-\u{1f3ff}]*(?:\u200d\P{M}[\p{M}\u{1f3fb}-\u{1f3ff}]*)*/gsu;
+
+const segmenter =
+    typeof Intl.Segmenter === 'function' ? new Intl.Segmenter(undefined, { granularity: 'grapheme' }) : null;
+
+const splitClusters = (text) =>
+    segmenter ? Array.from(segmenter.segment(text), ({ segment }) => segment) : (text.match(clusterPattern) ?? []);
+
+const isUnsupported = (cluster) => Array.from(cluster).some((char) => char.codePointAt(0) > 255);
+
+const unicodeFont = (dataset) => dataset.unicodeFont || defaultUnicodeFont;
+
+// The family name that a web font given by the unicodeFontUrl option is loaded with is the first family of the
+// unicodeFont option.
+const webFontFamily = (dataset) =>
+    unicodeFont(dataset)
+        .split(',')[0]
+        .trim()
+        .replace(/^(["'])(.*)\1$/, '$2');
+
+// Find the distinct grapheme clusters in the text that contain characters that are not in the TeX fonts.
+export const findUnicodeText = (text) => [...new Set(splitClusters(text).filter(isUnsupported))];
+
+// Estimate the size of a cluster in ems.
+const estimateMetrics = (cluster) => {
+    const code = cluster.codePointAt(0);
+    if (wideRanges.some(([first, last]) => code >= first && code <= last)) {
+        return { width: 1, ascent: 0.88, descent: 0.12 };
+    }
+    return { width: 0.6, ascent: 0.7, descent: 0.2 };
+};
+
+// Web fonts that have been loaded for measuring text keyed by url.
+const webFonts = new Map();
+
+const loadWebFont = (family, url) => {
+    const fontSet = globalThis.fonts ?? globalThis.document?.fonts;
+    if (!fontSet || typeof FontFace !== 'function') return Promise.resolve();
+    if (!webFonts.has(url)) {
+        const fontFace = new FontFace(family, `url(${JSON.stringify(url)})`);
+        fontSet.add(fontFace);
+        const loaded = fontFace.load();
+        loaded.catch(() => {
+            fontSet.delete(fontFace);
+            webFonts.delete(url);
+        });
+        webFonts.set(url, loaded);
+    }
+    return webFonts.get(url);
+};
+
+let measureContext = null;
+
+// Get a map from each of the clusters to its size (the width and the ascent and descent from the baseline) in ems.
+// The clusters are measured with a canvas in the font given by the unicodeFont option (after loading the web font at
+// unicodeFontUrl if that is set), so that the boxes that TeX makes for them (for example for nodes) fit the text that
+// is shown.  If there is no canvas (for example in node), then the sizes are estimated.
+export const measureUnicodeText = async (clusters, dataset) => {
+    const metrics = new Map();
+    if (!clusters.length) return metrics;
+
+    if (typeof OffscreenCanvas !== 'function') {
+        for (const cluster of clusters) metrics.set(cluster, estimateMetrics(cluster));
+        return metrics;
+    }
+
+    if (dataset.unicodeFontUrl) {
+        try {
+            await loadWebFont(webFontFamily(dataset), dataset.unicodeFontUrl);
+        } catch (err) {
+            console.log(`Unable to load the font at ${dataset.unicodeFontUrl}: ${err}`);
+        }
+    }
+
+    measureContext ??= new OffscreenCanvas(1, 1).getContext('2d');
+    measureContext.font = `100px ${unicodeFont(dataset)}`;
+    for (const cluster of clusters) {
+        const measurement = measureContext.measureText(cluster);
+        metrics.set(cluster, {
+            width: measurement.width / 100,
+            ascent: Math.max(measurement.actualBoundingBoxAscent, 0) / 100,
+            descent: Math.max(measurement.actualBoundingBoxDescent, 0) / 100
+        });
+    }
+    return metrics;
+};
+
+// The preamble lines that define the box for each of the measured clusters.  The \tikzjaxunicode macro takes the index
+// of a cluster.  The marker in the box is passed to dvi2html as a raw svg special, and has the position of the box,
+// the size of the current font, and the current color.
+export const unicodePreamble = (metrics) => [
+    '\\makeatletter',
+    '\\def\\tikzjaxunicode#1{\\csname tikzjax@unicode@#1\\endcsname}',
+    '\\def\\tikzjax@unicodebox#1#2#3#4{\\leavevmode\\hbox{%',
+    '\\special{dvisvgm:raw <tikzjax-unicode index="#1" x="{?x}" y="{?y}" size="\\the\\fontdimen6\\font" ' +
+        'color="\\current@color"/>}%',
+    '\\vrule width 0pt height #3em depth #4em\\kern #2em}}',
+    ...Array.from(metrics.values(), ({ width, ascent, descent }, index) => {
+        const size = [width, ascent, descent].map((value) => `{${value.toFixed(4)}}`).join('');
+        return `\\@namedef{tikzjax@unicode@${index}}{\\tikzjax@unicodebox{${index}}${size}}`;
+    }),
+    '\\makeatother'
+];
+
+// Replace each of the clusters in the line of TeX input with the \tikzjaxunicode macro for it.
+export const replaceUnicodeText = (line, clusters) =>
+    splitClusters(line)
+        .map((cluster) => (clusters.includes(cluster) ? `\\tikzjaxunicode{${clusters.indexOf(cluster)}}` : cluster))
+        .join('');
+
+// Convert a color in the form of a dvips color special (for example "rgb 0 0 1", "gray 0.5", or "cmyk 0 1 1 0") into a
+// css color.  Named colors are used as they are.
+const cssColor = (color) => {
+    const [model, ...values] = color.trim().split(/\s+/);
+    const components = values.map((value) => parseFloat(value) || 0);
+    const rgb = (r, g, b) => `rgb(${[r, g, b].map((value) => Math.round(value * 255)).join(',')})`;
+    if (model === 'rgb' && components.length === 3) return rgb(...components);
+    if (model === 'gray' && components.length === 1) return rgb(components[0], components[0], components[0]);
+    if (model === 'cmyk' && components.length === 4) {
+        const [c, m, y, k] = components;
+        return rgb((1 - c) * (1 - k), (1 - m) * (1 - k), (1 - y) * (1 - k));
+    }
+    return /^[a-z]+$/i.test(model) && !values.length ? model : null;
+};
+
+// Replace the markers in the svg markup generated by dvi2html with text elements for the clusters.  If the
+// unicodeFontUrl option is set, then a style with the font face for the web font is added to the image.
+export const replaceUnicodeMarkers = (html, clusters, dataset) => {
+    let found = false;
+    html = html.replace(
+        /<tikzjax-unicode index="(\d+)" x="([^"]*)" y="([^"]*)" size="([^"]*)" color="([^"]*)"\/>/g,
+        (_match, index, x, y, size, color) => {
+            found = true;
+            const fill = cssColor(color);
+            return (
+                `<text class="tikzjax-unicode" alignment-baseline="baseline" x="${x}" y="${y}" ` +
+                `font-family="${escapeXML(unicodeFont(dataset))}" font-size="${parseFloat(size) || 10}"` +
+                (fill ? ` fill="${fill}"` : '') +
+                `>${escapeXML(clusters[index] ?? '')}</text>`
+            );
+        }
+    );
+
+    if (!found || !dataset.unicodeFontUrl) return html;
+    const fontFace =
+        `@font-face{font-family:${JSON.stringify(webFontFamily(dataset))};` +
+        `src:url(${JSON.stringify(dataset.unicodeFontUrl)});}`;
+    return html.replace(/<svg\b[^>]*>/, (tag) => `${tag}<style>${escapeXML(fontFace)}</style>`);
+};
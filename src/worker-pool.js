@@ -0,0 +1,188 @@
+import { Worker, spawn, Thread, registerSerializer } from 'threads';
+import { TikzJaxError, abortReason, tikzJaxErrorSerializer } from './errors';
+
+registerSerializer(tikzJaxErrorSerializer);
+
+// Default to one less worker than the number of logical processors (so that the main thread stays responsive), but no
+// more than four since each worker needs a large amount of memory for the TeX WebAssembly.
+export const defaultPoolSize = () => Math.min(Math.max((navigator.hardwareConcurrency || 2) - 1, 1), 4);
+
+// Create a pool of TeX workers.  The urls are the workerUrl of the worker script, and the wasmUrl, coreDumpUrl,
+// texFilesUrl, and fontsUrl that the worker loads its files from.  If the urls of the pool are changed, then the new
+// urls are used for workers that are spawned later.  Workers are spawned as they are needed up to the pool size, and
+// are kept alive between jobs so that the TeX WebAssembly and core dump are only loaded once per worker.  Jobs that
+// arrive when all workers are busy wait for the next worker to be released.  Workers that are running a job that times
+// out or is aborted are terminated, and are replaced by new workers as needed.  Waiting jobs with a higher priority are
+// given a worker first, and jobs with the same priority are given a worker in the order that they arrived.
+export const createWorkerPool = (urls, size = defaultPoolSize()) => {
+    const workers = [];
+    const idle = [];
+    const waiting = [];
+    let spawning = 0;
+
+    const spawnWorker = async () => {
+        const { workerUrl, ...assetUrls } = pool.urls;
+        const tex = await spawn(new Worker(workerUrl));
+        Thread.events(tex).subscribe((e) => {
+            if (e.type == 'message' && typeof e.data === 'string') console.log(e.data);
+        });
+
+        // Load the assembly and core dump.
+        try {
+            await tex.load(assetUrls);
+        } catch (err) {
+            await Thread.terminate(tex);
+            throw err;
+        }
+
+        return tex;
+    };
+
+    // Remove and return the waiting job with the highest priority.  The priority of a job may be a function, in which
+    // case it is evaluated now so that the priority can change while the job is waiting.
+    const nextWaiter = () => {
+        let next = -1;
+        let nextPriority = -Infinity;
+        waiting.forEach((waiter, index) => {
+            const priority = typeof waiter.priority === 'function' ? waiter.priority() : waiter.priority;
+            if (priority > nextPriority) {
+                next = index;
+                nextPriority = priority;
+            }
+        });
+        return next < 0 ? undefined : waiting.splice(next, 1)[0];
+    };
+
+    const acquire = async (signal, priority = 0) => {
+        if (signal?.aborted) throw abortReason(signal);
+        if (idle.length) return idle.pop();
+
+        if (workers.length + spawning < pool.size) {
+            ++spawning;
+            try {
+                const tex = await spawnWorker();
+                workers.push(tex);
+                return tex;
+            } catch (err) {
+                // Give the next waiting job a chance to spawn a worker, since there may not be another worker to
+                // release to it.
+                replaceFor(nextWaiter());
+                throw err;
+            } finally {
+                --spawning;
+            }
+        }
+
+        return new Promise((resolve, reject) => {
+            const waiter = { resolve, reject, priority };
+            waiting.push(waiter);
+            signal?.addEventListener(
+                'abort',
+                () => {
+                    const index = waiting.indexOf(waiter);
+                    if (index < 0) return;
+                    waiting.splice(index, 1);
+                    reject(abortReason(signal));
+                },
+                { once: true }
+            );
+        });
+    };
+
+    // Acquire a worker for a waiting job.  This is used when a worker is not released, since otherwise the waiting job
+    // might never get a worker.
+    const replaceFor = (waiter) => {
+        if (waiter) acquire(undefined, waiter.priority).then(waiter.resolve, waiter.reject);
+    };
+
+    // Release a worker to the next waiting job, or keep it idle.  A worker that is beyond the pool size (after the size
+    // was reduced) is terminated instead.
+    const release = (tex) => {
+        if (workers.length > size) {
+            discard(tex);
+            return;
+        }
+        const next = nextWaiter();
+        if (next) next.resolve(tex);
+        else idle.push(tex);
+    };
+
+    const discard = async (tex) => {
+        // The worker may already have been removed by terminate.
+        const index = workers.indexOf(tex);
+        if (index !== -1) workers.splice(index, 1);
+        replaceFor(nextWaiter());
+        await Thread.terminate(tex);
+    };
+
+    const pool = {
+        urls,
+
+        // The maximum number of workers.  When the size is reduced, idle workers beyond the new size are terminated
+        // now, and busy workers are terminated when their jobs finish.
+        get size() {
+            return size;
+        },
+
+        set size(value) {
+            size = value;
+            while (workers.length > size && idle.length) {
+                const tex = idle.pop();
+                workers.splice(workers.indexOf(tex), 1);
+                Thread.terminate(tex);
+            }
+        },
+
+        // Run the given task with a worker from the pool.  The task is passed the worker and its result is returned.
+        // If the task takes longer than the timeout (in milliseconds) or the signal is aborted, then the worker is
+        // terminated and the returned promise is rejected.  A timeout of 0 means there is no time limit.  The priority
+        // (a number or a function that returns a number) determines the order in which waiting tasks are run.
+        async run(task, { signal, timeout = 0, priority = 0 } = {}) {
+            const tex = await acquire(signal, priority);
+            if (signal?.aborted) {
+                release(tex);
+                throw abortReason(signal);
+            }
+
+            let interrupted = false;
+            let timer, onAbort;
+            const interruption = new Promise((_resolve, reject) => {
+                if (timeout > 0) {
+                    timer = setTimeout(() => {
+                        interrupted = true;
+                        const message = `TeX did not finish within ${timeout} milliseconds.`;
+                        reject(new TikzJaxError(message, { code: 'timeout' }));
+                    }, timeout);
+                }
+                if (signal) {
+                    onAbort = () => {
+                        interrupted = true;
+                        reject(abortReason(signal));
+                    };
+                    signal.addEventListener('abort', onAbort, { once: true });
+                }
+            });
+
+            try {
+                const result = await Promise.race([task(tex), interruption]);
+                release(tex);
+                return result;
+            } catch (err) {
+                if (interrupted) await discard(tex);
+                else release(tex);
+                throw err;
+            } finally {
+                clearTimeout(timer);
+                signal?.removeEventListener('abort', onAbort);
+            }
+        },
+
+        async terminate() {
+            const terminating = workers.splice(0);
+            idle.splice(0);
+            await Promise.all(terminating.map((tex) => Thread.terminate(tex)));
+        }
+    };
+
+    return pool;
+};
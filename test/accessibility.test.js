@@ -0,0 +1,44 @@
+import { describe, expect, it } from 'vitest';
+import { addTextAlternatives, findTextLabels } from '../src/accessibility';
+
+// A text element for the given characters in a TeX font, which dvi2html writes as private use characters.
+const text = (x, y, chars, family = 'cmr10') =>
+    `<text x="${x}" y="${y}" font-family="${family}" font-size="10">` +
+    Array.from(chars, (char) => `&#x${(0xf000 + char.charCodeAt(0)).toString(16)};`).join('') +
+    '</text>';
+
+const diagram =
+    '<svg width="100pt" height="50pt">' +
+    `<g transform="translate(50,40)">${text(0, 0, 'W')}${text(9.5, 0, 'orld')}${text(30, 0, 'map')}</g>` +
+    `<g transform="translate(0,10)">${text(0, 0, 'x', 'cmmi10')}${text(5.8, -3.6, '2')}</g>` +
+    '</svg>';
+
+describe('findTextLabels', () => {
+    it('joins the runs of text of each label and lists the labels in reading order', () => {
+        expect(findTextLabels(diagram)).toEqual(['x2', 'World map']);
+    });
+});
+
+describe('addTextAlternatives', () => {
+    it('adds a title and desc that the svg refers to', () => {
+        const html = addTextAlternatives(diagram, { ariaLabel: 'A & B', ariaDescription: 'More' }, { id: 'abc' });
+        expect(html).toMatch(
+            /^<svg role="img" aria-labelledby="tikzjax-abc-title" aria-describedby="tikzjax-abc-desc"/
+        );
+        expect(html).toContain(
+            '<title id="tikzjax-abc-title">A &amp; B</title><desc id="tikzjax-abc-desc">More</desc>'
+        );
+    });
+
+    it('describes a diagram without a label with its text labels', () => {
+        expect(addTextAlternatives(diagram, {}, { id: 'abc' })).toContain(
+            '<title id="tikzjax-abc-title">Diagram</title><desc id="tikzjax-abc-desc">Labels: x2, World map.</desc>'
+        );
+    });
+
+    it('names a LaTeX snippet without a label with its source', () => {
+        expect(addTextAlternatives('<svg>', { mode: 'tex' }, { id: 'abc', source: ' $a^2$\n' })).toBe(
+            '<svg role="img" aria-labelledby="tikzjax-abc-title"><title id="tikzjax-abc-title">$a^2$</title>'
+        );
+    });
+});
@@ -0,0 +1,46 @@
+import { describe, expect, it } from 'vitest';
+import { execFileSync } from 'child_process';
+import { existsSync, readFileSync } from 'fs';
+import { createRequire } from 'module';
+import path from 'path';
+import vm from 'vm';
+
+// Smoke checks that the built bundles load.  These are skipped if the bundles have not been built (with npm run build
+// or npm run build:dev).
+const dist = path.resolve(__dirname, '../dist');
+const require = createRequire(import.meta.url);
+
+describe.skipIf(!existsSync(path.join(dist, 'run-tex.js')))('the worker bundle', () => {
+    it('loads and exposes its methods', () => {
+        const messages = [];
+        const self = {
+            addEventListener: () => {},
+            postMessage: (message) => messages.push(message),
+            location: { href: 'http://localhost/dist/run-tex.js' }
+        };
+        const context = vm.createContext({ self, console, setTimeout, clearTimeout, TextDecoder, TextEncoder, URL });
+        context.globalThis = context;
+        vm.runInContext(readFileSync(path.join(dist, 'run-tex.js'), 'utf8'), context);
+
+        expect(messages).toContainEqual(
+            expect.objectContaining({
+                type: 'init',
+                exposed: expect.objectContaining({ methods: expect.arrayContaining(['load', 'texify', 'embedFonts']) })
+            })
+        );
+    });
+});
+
+describe.skipIf(!existsSync(path.join(dist, 'node.js')))('the node bundle', () => {
+    it('loads and exports the render functions', () => {
+        const tikzjax = require(path.join(dist, 'node.js'));
+        expect(tikzjax.renderTikz).toBeTypeOf('function');
+    });
+});
+
+describe.skipIf(!existsSync(path.join(dist, 'cli.js')))('the command line interface', () => {
+    it('prints its usage', () => {
+        const output = execFileSync(process.execPath, [path.join(dist, 'cli.js'), '--help'], { encoding: 'utf8' });
+        expect(output).toMatch(/^Usage: tikzjax/);
+    });
+});
@@ -0,0 +1,98 @@
+import { describe, expect, it } from 'vitest';
+import { splitDviPages } from '../src/dvi';
+
+// Write a DVI file from a list of parts.  Numbers are given as [bytes, value] pairs, and other parts are single bytes
+// or strings.
+const writeDvi = (parts) => {
+    const bytes = [];
+    for (const part of parts) {
+        if (typeof part === 'string') bytes.push(...Array.from(part, (char) => char.charCodeAt(0)));
+        else if (Array.isArray(part)) {
+            const [size, value] = part;
+            for (let shift = 8 * (size - 1); shift >= 0; shift -= 8) bytes.push((value >> shift) & 0xff);
+        } else bytes.push(part);
+    }
+    return Uint8Array.from(bytes);
+};
+
+const preamble = [247, 2, [4, 25400000], [4, 473628672], [4, 1000], 1, 'x'];
+const fontDefinition = [243, 0, [4, 0x12345678], [4, 655360], [4, 655360], 0, 5, 'cmr10'];
+// A beginning of page with the page number in \count0 and the pointer to the previous page.
+const bop = (number, previous) => [139, [4, number], ...Array(9).fill([4, 0]), [4, previous]];
+
+// A two page DVI file with a font that is used in both pages.  The font is only defined in the postamble, since the
+// pages are not parsed.
+const firstBop = 16;
+const secondBop = firstBop + 45 + 3;
+const post = secondBop + 45 + 3;
+const dvi = writeDvi([
+    ...preamble,
+    ...bop(1, -1),
+    171, // fnt_num_0
+    65, // set_char_65
+    140, // eop
+    ...bop(2, firstBop),
+    171,
+    66,
+    140,
+    248,
+    [4, secondBop],
+    [4, 25400000],
+    [4, 473628672],
+    [4, 1000],
+    [4, 0],
+    [4, 0],
+    [2, 1],
+    [2, 2],
+    ...fontDefinition,
+    249,
+    [4, post],
+    2,
+    ...Array(4 + ((4 - ((post + 29 + 21 + 6) % 4)) % 4)).fill(223)
+]);
+
+describe('splitDviPages', () => {
+    it('writes a valid DVI file for each page', () => {
+        const pages = splitDviPages(dvi);
+        expect(pages).toHaveLength(2);
+
+        pages.forEach((page, index) => {
+            const view = new DataView(page.buffer, page.byteOffset, page.byteLength);
+            expect(Array.from(page.subarray(0, 16))).toEqual(Array.from(dvi.subarray(0, 16)));
+
+            // The beginning of page follows the preamble, has the page number, and has no previous page.
+            expect(page[16]).toBe(139);
+            expect(view.getInt32(17)).toBe(index + 1);
+            expect(view.getInt32(16 + 41)).toBe(-1);
+
+            // The font definitions are at the start of the page, followed by the content of the page.
+            expect(Array.from(page.subarray(61, 82))).toEqual(Array.from(writeDvi(fontDefinition)));
+            expect(Array.from(page.subarray(82, 85))).toEqual([171, 65 + index, 140]);
+
+            // The postamble follows the page, points to the page, and has a total of one page.
+            const postOffset = 85;
+            expect(page[postOffset]).toBe(248);
+            expect(view.getUint32(postOffset + 1)).toBe(16);
+            expect(view.getUint16(postOffset + 27)).toBe(1);
+            expect(Array.from(page.subarray(postOffset + 29, postOffset + 50))).toEqual(
+                Array.from(writeDvi(fontDefinition))
+            );
+
+            // The postamble is ended with a pointer to it, the DVI version, and four to seven bytes of padding that
+            // make the length a multiple of four.
+            const postPost = postOffset + 50;
+            expect(page[postPost]).toBe(249);
+            expect(view.getUint32(postPost + 1)).toBe(postOffset);
+            expect(page[postPost + 5]).toBe(2);
+            const padding = page.subarray(postPost + 6);
+            expect(padding.length).toBeGreaterThanOrEqual(4);
+            expect(padding.length).toBeLessThanOrEqual(7);
+            expect(padding.every((byte) => byte === 223)).toBe(true);
+            expect(page.length % 4).toBe(0);
+        });
+    });
+
+    it('rejects a file that is not a DVI file', () => {
+        expect(() => splitDviPages(Uint8Array.from([1, 2, 3, 4, 5, 6, 7, 8]))).toThrow('Invalid DVI file.');
+    });
+});
@@ -0,0 +1,21 @@
+import { describe, expect, it } from 'vitest';
+import { decodeEntities, escapeXML, shortHash } from '../src/markup';
+
+describe('shortHash', () => {
+    it('hashes strings and arrays of code points the same way', () => {
+        expect(shortHash('dark{}')).toBe(shortHash(Array.from('dark{}', (char) => char.codePointAt(0))));
+        expect(shortHash('dark')).not.toBe(shortHash('auto'));
+    });
+});
+
+describe('escapeXML and decodeEntities', () => {
+    it('decode what they escape', () => {
+        const text = '<a href="x">Tom & Jerry\'s</a>';
+        expect(escapeXML(text)).not.toMatch(/[<>"']/);
+        expect(decodeEntities(escapeXML(text))).toBe(text);
+    });
+
+    it('decode character references and leave other named entities alone', () => {
+        expect(decodeEntities('&#xf05b;&#65;&AMP;&nbsp;')).toBe('A&&nbsp;');
+    });
+});
@@ -0,0 +1,67 @@
+import { describe, expect, it, vi } from 'vitest';
+import { createSharedRuns } from '../src/shared-runs';
+
+// A run that resolves with the value when it is finished, and that is only rejected some time after it is aborted (as
+// a TeX run is when the worker pool waits for the worker to be terminated).
+const createRun = (value) => {
+    let finish;
+    const start = vi.fn(
+        ({ signal }) =>
+            new Promise((resolve, reject) => {
+                finish = () => resolve(value);
+                signal.addEventListener('abort', () => setTimeout(() => reject(signal.reason), 10), { once: true });
+            })
+    );
+    return { start, finish: () => finish() };
+};
+
+describe('createSharedRuns', () => {
+    it('shares a run between requests for the same key', async () => {
+        const runs = createSharedRuns();
+        const { start, finish } = createRun('svg');
+
+        const first = runs.join('key', start);
+        const second = runs.join('key', start);
+        finish();
+
+        await expect(first).resolves.toBe('svg');
+        await expect(second).resolves.toBe('svg');
+        expect(start).toHaveBeenCalledTimes(1);
+    });
+
+    it('keeps a run going while one of its requests is not aborted', async () => {
+        const runs = createSharedRuns();
+        const { start, finish } = createRun('svg');
+        const controller = new AbortController();
+
+        const first = runs.join('key', start, { signal: controller.signal });
+        const second = runs.join('key', start);
+        controller.abort();
+        finish();
+
+        await expect(first).rejects.toThrow();
+        await expect(second).resolves.toBe('svg');
+    });
+
+    it('starts a new run for a request that is made right after a run is aborted', async () => {
+        const runs = createSharedRuns();
+        const aborted = createRun('old');
+        const controller = new AbortController();
+
+        const first = runs.join('key', aborted.start, { signal: controller.signal });
+        controller.abort();
+
+        // The aborted run has not settled yet, but the new request must not join it.
+        const next = createRun('new');
+        const second = runs.join('key', next.start);
+        await expect(first).rejects.toThrow();
+
+        // The aborted run settling does not forget the new run.
+        const third = runs.join('key', next.start);
+        next.finish();
+
+        await expect(second).resolves.toBe('new');
+        await expect(third).resolves.toBe('new');
+        expect(next.start).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,27 @@
+import { describe, expect, it } from 'vitest';
+import { layoutStyleProperties, sizeSVG } from '../src/svg';
+
+const svg = '<svg width="20pt" height="10pt"></svg>';
+
+const styleProperties = (html) =>
+    html
+        .match(/\sstyle="([^"]*)"/)[1]
+        .split(';')
+        .map((declaration) => declaration.split(':')[0]);
+
+describe('sizeSVG', () => {
+    it('scales the width and height', () => {
+        expect(sizeSVG(svg, { scale: '1.5' })).toMatch(/width="30pt" height="15pt"/);
+    });
+
+    it('only sets the layout style properties', () => {
+        for (const dataset of [{ fit: 'width', maxWidth: '200' }, { fit: 'contain' }, { align: 'right' }]) {
+            for (const property of styleProperties(sizeSVG(svg, dataset))) {
+                expect(layoutStyleProperties).toContain(property);
+            }
+        }
+        for (const property of styleProperties(sizeSVG(svg, { mode: 'tex', display: 'inline' }, '2.5'))) {
+            expect(layoutStyleProperties).toContain(property);
+        }
+    });
+});
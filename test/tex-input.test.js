@@ -0,0 +1,27 @@
+import { describe, expect, it } from 'vitest';
+import { buildTexInput, findSnippetBlocks } from '../src/tex-input';
+
+describe('buildTexInput', () => {
+    it('ends the frame number before the body of each frame', () => {
+        const { input } = buildTexInput('1\\tikz \\node {A};', { frames: '2' });
+        expect(input).toContain('\\tikzjaxframe=1\\relax\\begin{tikzjaxframe}');
+        expect(input).toContain('\\tikzjaxframe=2\\relax\\begin{tikzjaxframe}');
+    });
+});
+
+describe('findSnippetBlocks', () => {
+    it('reports lists and displays in a LaTeX snippet with their line numbers', () => {
+        const diagnostics = findSnippetBlocks('$a$\n\\begin{itemize}\\item b\\end{itemize}', { mode: 'tex' });
+        expect(diagnostics).toHaveLength(1);
+        expect(diagnostics[0].line).toBe(2);
+        expect(diagnostics[0].message).toContain('\\begin{itemize}');
+    });
+
+    it('allows paragraphs in a minipage, display math with \\[, and complete documents', () => {
+        const minipage = '\\begin{minipage}{5cm}\n\\begin{itemize}\\item a\\end{itemize}\n\\end{minipage}';
+        expect(findSnippetBlocks(minipage, { mode: 'tex' })).toEqual([]);
+        expect(findSnippetBlocks('\\[ x^2 \\]', { mode: 'tex' })).toEqual([]);
+        expect(findSnippetBlocks('\\begin{document}\n\\par\n\\end{document}', { mode: 'tex' })).toEqual([]);
+        expect(findSnippetBlocks('\\par % \\begin{center}', {})).toEqual([]);
+    });
+});
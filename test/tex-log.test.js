@@ -0,0 +1,67 @@
+import { describe, expect, it } from 'vitest';
+import { buildTexInput } from '../src/tex-input';
+import { parseLog } from '../src/tex-log';
+
+// The source line numbers of the lines of the TeX input, as they are passed to parseLog by texify.
+const lineMap = (lines) => lines.map(({ number }) => number);
+
+describe('parseLog', () => {
+    it('maps the line of an error in the TeX input back to the line in the source', () => {
+        const source = '\\begin{tikzpicture}\n\n\\draw \\foo (0,0) -- (1,1);\n\\end{tikzpicture}';
+        const { lines } = buildTexInput(source, {
+            texPackages: '{"amsmath":""}',
+            tikzLibraries: 'arrows.meta',
+            addToPreamble: '\\def\\bar{}'
+        });
+        const texLine = lines.findIndex(({ number }) => number === 3) + 1;
+        expect(texLine).toBeGreaterThan(3);
+
+        const log = [
+            'This is e-TeX, Version 3.141592653-2.6',
+            '! Undefined control sequence.',
+            `l.${texLine} \\draw \\foo`,
+            '                 (0,0) -- (1,1);',
+            '',
+            'No pages of output.'
+        ].join('\n');
+        const diagnostics = parseLog(log, lineMap(lines));
+
+        expect(diagnostics).toEqual([
+            {
+                message: 'Undefined control sequence.',
+                texLine,
+                line: 3,
+                context: [`l.${texLine} \\draw \\foo`, '                 (0,0) -- (1,1);'],
+                missingFile: null
+            }
+        ]);
+    });
+
+    it('reports a file that could not be found in a line that was added to the source', () => {
+        const { lines } = buildTexInput('\\draw (0,0) -- (1,1);', { texPackages: '{"missing":""}' });
+        const texLine = lines.findIndex(({ line }) => line.includes('{missing}')) + 1;
+
+        // In nonstop mode TeX stops at the prompt for another file name, and the line is given in the context of the
+        // error for that.
+        const log = [
+            "! LaTeX Error: File `missing.sty' not found.",
+            '',
+            'Type X to quit or <RETURN> to proceed,',
+            'or enter new name. (Default extension: sty)',
+            '',
+            'Enter file name: ',
+            '! Emergency stop.',
+            '<read *> ',
+            '         ',
+            `l.${texLine} \\usepackage{missing}`,
+            '                                 ^^M'
+        ].join('\n');
+        const [missing, stop] = parseLog(log, lineMap(lines));
+
+        expect(missing.missingFile).toBe('missing.sty');
+        expect(stop.message).toBe('Emergency stop.');
+        expect(stop.texLine).toBe(texLine);
+        expect(stop.line).toBeNull();
+        expect(stop.missingFile).toBeNull();
+    });
+});
@@ -0,0 +1,63 @@
+import { describe, expect, it } from 'vitest';
+import { applyTheme } from '../src/theme';
+
+const svg =
+    '<svg width="20pt" height="10pt"><path stroke="#000" fill="rgb(100%,100%,100%)"/>' +
+    '<path style="stroke: rgb(255,0,0); fill:none"/><text fill="#0000fe">A</text></svg>';
+
+// Get the declarations of the style that is added to the image.
+const declarations = (html) =>
+    Object.fromEntries(
+        html
+            .match(/<style>.*\{([^{}]*)\}/)[1]
+            .split(';')
+            .map((declaration) => declaration.split(':'))
+    );
+
+describe('applyTheme', () => {
+    it('leaves the image alone for the light theme', () => {
+        expect(applyTheme(svg, {})).toBe(svg);
+        expect(applyTheme(svg, { theme: 'light' })).toBe(svg);
+    });
+
+    it('replaces black and white with css variables and leaves other colors alone', () => {
+        const html = applyTheme(svg, { theme: 'dark' });
+        expect(html).toContain('stroke="var(--tikzjax-color-000000, #000000)"');
+        expect(html).toContain('fill="var(--tikzjax-color-ffffff, #ffffff)"');
+        expect(html).toContain('style="stroke: rgb(255,0,0); fill:none"');
+        expect(html).toMatch(/^<svg class="tikzjax-theme-\w+" fill="var\(--tikzjax-color-000000, #000000\)"/);
+        expect(declarations(html)).toEqual({
+            '--tikzjax-color-000000': 'var(--tikzjax-foreground, currentColor)',
+            '--tikzjax-color-ffffff': 'var(--tikzjax-background, #000)'
+        });
+    });
+
+    it('only sets the dark colors when the color scheme is dark for the auto theme', () => {
+        expect(applyTheme(svg, { theme: 'auto' })).toMatch(/<style>@media \(prefers-color-scheme:dark\)\{\.tikzjax/);
+    });
+
+    it('treats colors that differ by one in each channel as the same color', () => {
+        const html = applyTheme(svg, { theme: 'dark', palette: '{"blue":"#88f","red":"salmon"}' });
+        expect(html).toContain('<text fill="var(--tikzjax-color-0000ff, #0000fe)">');
+        expect(html).toContain('style="stroke: var(--tikzjax-color-ff0000, #ff0000); fill:none"');
+        expect(declarations(html)).toMatchObject({
+            '--tikzjax-color-0000ff': '#88f',
+            '--tikzjax-color-ff0000': 'salmon'
+        });
+    });
+
+    it('ignores palette colors that are not colors and dark colors that could end the style', () => {
+        const palette = JSON.stringify({ blue: 'red;}</style>', notacolor: '#fff', 'rgb(255,0,0)': 4 });
+        const html = applyTheme(svg, { theme: 'dark', palette });
+        expect(html).toContain('<text fill="#0000fe">');
+        expect(html).toContain('stroke: rgb(255,0,0)');
+        expect(Object.keys(declarations(html))).toEqual(['--tikzjax-color-000000', '--tikzjax-color-ffffff']);
+    });
+
+    it('gives images with different palettes different theme classes', () => {
+        const className = (html) => html.match(/tikzjax-theme-\w+/)[0];
+        expect(className(applyTheme(svg, { theme: 'dark', palette: '{"red":"pink"}' }))).not.toBe(
+            className(applyTheme(svg, { theme: 'dark' }))
+        );
+    });
+});
@@ -1,18 +1,41 @@
 const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
 const webpack = require('webpack');
 const CopyPlugin = require('copy-webpack-plugin');
 const TerserPlugin = require('terser-webpack-plugin');
 const ESLintPlugin = require('eslint-webpack-plugin');
 
+// Compute a hash of the package version, the TeX WebAssembly, the core dump, and the list of TeX files.  This is used
+// to invalidate assets that are cached by the browser when any of these change.
+const assetsVersion = () => {
+    const hash = crypto.createHash('sha1').update(require('./package.json').version);
+    for (const file of ['tex.wasm.gz', 'core.dump.gz', 'tex_files.json']) {
+        const filePath = path.resolve(__dirname, file);
+        if (fs.existsSync(filePath)) hash.update(fs.readFileSync(filePath));
+    }
+    return hash.digest('hex').slice(0, 16);
+};
+
 module.exports = (_env, argv) => {
     process.env.NODE_ENV = argv.mode ?? 'development';
 
+    const devtool = process.env.NODE_ENV === 'development' ? 'source-map' : false;
+    const version = assetsVersion();
+
+    // Styles are added to the page when they are imported, except that styles imported with the raw query are imported
+    // as a string (for use in a shadow root).
+    const cssRules = [
+        { test: /\.css$/, resourceQuery: /raw/, type: 'asset/source' },
+        { test: /\.css$/, resourceQuery: { not: [/raw/] }, use: ['style-loader', 'css-loader'] }
+    ];
+
     const config = {
-        entry: { tikzjax: './src/index.js', 'run-tex': './src/run-tex.js' },
+        entry: { tikzjax: './src/browser.js', 'run-tex': './src/run-tex.js' },
         output: { path: path.resolve(__dirname, 'dist'), filename: '[name].js' },
         devServer: { static: path.join(__dirname, './public'), port: 9090 },
-        devtool: process.env.NODE_ENV === 'development' ? 'source-map' : false,
-        module: { rules: [{ test: /\.css$/, use: ['style-loader', 'css-loader'] }] },
+        devtool,
+        module: { rules: cssRules },
         performance: { hints: false },
         plugins: [
             new TerserPlugin({ terserOptions: { format: { comments: false } }, extractComments: false }),
@@ -24,9 +47,48 @@ module.exports = (_env, argv) => {
                 ]
             }),
             new webpack.ProvidePlugin({ process: 'process/browser' }),
+            new webpack.DefinePlugin({ 'process.env.TIKZJAX_ASSETS_VERSION': JSON.stringify(version) }),
+            new ESLintPlugin({ configType: 'flat' })
+        ]
+    };
+
+    // The ES module build of the browser entry point.  The worker script and the TeX assets are found relative to
+    // import.meta.url, so it must be left for the browser to evaluate.  Webpack would otherwise also try to bundle the
+    // url that new URL('.', import.meta.url) refers to as an asset.
+    const esmConfig = {
+        entry: { tikzjax: './src/esm.js' },
+        experiments: { outputModule: true },
+        output: { path: path.resolve(__dirname, 'dist'), filename: '[name].mjs', library: { type: 'module' } },
+        devtool,
+        module: {
+            parser: { javascript: { importMeta: false, url: false } },
+            rules: cssRules
+        },
+        performance: { hints: false },
+        plugins: [
+            new TerserPlugin({ terserOptions: { format: { comments: false } }, extractComments: false }),
+            new webpack.ProvidePlugin({ process: 'process/browser' }),
+            new webpack.DefinePlugin({ 'process.env.TIKZJAX_ASSETS_VERSION': JSON.stringify(version) }),
+            new ESLintPlugin({ configType: 'flat' })
+        ]
+    };
+
+    // The node entry point and the command line interface.  These load the TeX WebAssembly, core dump, and tex_files
+    // from the directory that they are in, so __dirname must not be replaced.
+    const nodeConfig = {
+        target: 'node',
+        entry: { node: './src/node.js', cli: './src/cli.js' },
+        output: { path: path.resolve(__dirname, 'dist'), filename: '[name].js', library: { type: 'commonjs2' } },
+        node: { __dirname: false },
+        devtool,
+        performance: { hints: false },
+        plugins: [
+            new TerserPlugin({ terserOptions: { format: { comments: false } }, extractComments: false }),
+            new webpack.BannerPlugin({ banner: '#!/usr/bin/env node', raw: true, entryOnly: true, include: 'cli.js' }),
+            new webpack.DefinePlugin({ 'process.env.TIKZJAX_ASSETS_VERSION': JSON.stringify(version) }),
             new ESLintPlugin({ configType: 'flat' })
         ]
     };
 
-    return config;
+    return [config, esmConfig, nodeConfig];
 };